@@ -0,0 +1,338 @@
+#!/usr/bin/env node
+/**
+ * zog-http-openapi
+ * Generate a ZogHttp client module and its TypeScript declarations from an OpenAPI 3 document.
+ *
+ * Usage:
+ *   zog-http-openapi <spec.json|spec.yaml> [--out src/api] [--server 0|url|false] [--package @zogjs/http]
+ *
+ * Writes <out>.js (definitions plus createApi(http)) and <out>.d.ts (schema types and a typed Api).
+ * Reading YAML needs the `yaml` package to be installed.
+ *
+ * @license MIT
+ */
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { basename, dirname, extname, resolve } from 'node:path';
+import { openApiOperations, openApiDefinitions } from '../src/zog-http.js';
+
+const USAGE = 'Usage: zog-http-openapi <spec.json|spec.yaml> [--out src/api] [--server 0|url|false] [--package @zogjs/http]';
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} - { input, out, server, pkg }
+ */
+function parseArgs(argv) {
+  const args = { input: null, out: 'api', server: 0, pkg: '@zogjs/http' };
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--out' || arg === '-o') {
+      args.out = argv[++i];
+    } else if (arg === '--server') {
+      const value = argv[++i];
+      args.server = value === 'false' ? false : /^\d+$/.test(value) ? Number(value) : value;
+    } else if (arg === '--package') {
+      args.pkg = argv[++i];
+    } else if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (!args.input) {
+      args.input = arg;
+    } else {
+      throw new Error(`Unexpected argument "${arg}"`);
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Read an OpenAPI document from a JSON or YAML file
+ * @param {string} file - File path
+ * @returns {Promise<Object>} - Parsed document
+ */
+async function readSpec(file) {
+  const source = await readFile(file, 'utf8');
+  if (!['.yaml', '.yml'].includes(extname(file).toLowerCase())) {
+    return JSON.parse(source);
+  }
+
+  let yaml;
+  try {
+    yaml = await import('yaml');
+  } catch {
+    throw new Error('Reading YAML needs the "yaml" package: npm install --save-dev yaml');
+  }
+  return yaml.parse(source);
+}
+
+/**
+ * Turn a schema name into a TypeScript identifier
+ * @param {string} name - Schema name
+ * @returns {string} - Identifier
+ */
+function typeName(name) {
+  const id = name
+    .split(/[^A-Za-z0-9_$]+/)
+    .filter(Boolean)
+    .map(word => word[0].toUpperCase() + word.slice(1))
+    .join('');
+  return /^[0-9]/.test(id) ? `_${id}` : id || 'Unnamed';
+}
+
+/**
+ * Quote a property name when it isn't a valid identifier
+ * @param {string} name - Property name
+ * @returns {string} - Property key
+ */
+function propertyKey(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+/**
+ * Build a JSDoc comment from a description
+ * @param {string} description - Description text
+ * @param {string} indent - Indentation
+ * @returns {string} - Comment lines, or ''
+ */
+function docComment(description, indent) {
+  if (!description) return '';
+  const lines = String(description).trim().replace(/\*\//g, '*\\/').split('\n');
+  return lines.length === 1
+    ? `${indent}/** ${lines[0]} */\n`
+    : `${indent}/**\n${lines.map(line => `${indent} * ${line}`.trimEnd()).join('\n')}\n${indent} */\n`;
+}
+
+/**
+ * Follow a local $ref once
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} value - Object that may be a { $ref }
+ * @returns {Object} - Referenced object, or the value itself
+ */
+function resolveLocal(spec, value) {
+  if (!value?.$ref?.startsWith('#/')) return value;
+  return value.$ref.slice(2).split('/').reduce((node, part) => node?.[part], spec);
+}
+
+/**
+ * Convert a JSON schema into a TypeScript type expression
+ * @param {Object} spec - OpenAPI document (for $ref lookups)
+ * @param {Object} schema - Schema object
+ * @param {string} indent - Indentation of the enclosing declaration
+ * @returns {string} - TypeScript type
+ */
+function schemaToType(spec, schema, indent = '') {
+  if (!schema || typeof schema !== 'object') return 'unknown';
+  
+  if (schema.$ref) {
+    const match = schema.$ref.match(/^#\/components\/schemas\/(.+)$/);
+    if (match) return typeName(match[1].replace(/~1/g, '/').replace(/~0/g, '~'));
+    return schemaToType(spec, resolveLocal(spec, schema), indent);
+  }
+
+  const nullable = (type) => (schema.nullable ? `${type} | null` : type);
+  const group = (types, separator) => {
+    const unique = [...new Set(types)];
+    return unique.length === 1 ? unique[0] : `(${unique.join(separator)})`;
+  };
+  
+  if (schema.enum) {
+    return nullable(schema.enum.map(value => JSON.stringify(value)).join(' | '));
+  }
+  if (schema.const !== undefined) {
+    return nullable(JSON.stringify(schema.const));
+  }
+  if (schema.oneOf || schema.anyOf) {
+    return nullable(group((schema.oneOf || schema.anyOf).map(item => schemaToType(spec, item, indent)), ' | '));
+  }
+  if (schema.allOf) {
+    return nullable(group(schema.allOf.map(item => schemaToType(spec, item, indent)), ' & '));
+  }
+
+  // OpenAPI 3.1 allows type arrays such as ['string', 'null']
+  if (Array.isArray(schema.type)) {
+    return group(schema.type.map(type => schemaToType(spec, { ...schema, type }, indent)), ' | ');
+  }
+
+  switch (schema.type) {
+    case 'null':
+      return 'null';
+    case 'string':
+      return nullable(schema.format === 'binary' ? 'Blob' : 'string');
+    case 'integer':
+    case 'number':
+      return nullable('number');
+    case 'boolean':
+      return nullable('boolean');
+    case 'array':
+      return nullable(`Array<${schemaToType(spec, schema.items, indent)}>`);
+  }
+
+  if (schema.type === 'object' || schema.properties || schema.additionalProperties) {
+    const required = new Set(schema.required || []);
+    const inner = `${indent}  `;
+    const members = Object.entries(schema.properties || {}).map(([name, property]) => {
+      const optional = required.has(name) ? '' : '?';
+      return `${docComment(property?.description, inner)}${inner}${propertyKey(name)}${optional}: ${schemaToType(spec, property, inner)};`;
+    });
+    
+    if (schema.additionalProperties) {
+      const valueType = schema.additionalProperties === true ? 'unknown' : schemaToType(spec, schema.additionalProperties, inner);
+      members.push(`${inner}[key: string]: ${members.length ? 'unknown' : valueType};`);
+    }
+    
+    return nullable(members.length ? `{\n${members.join('\n')}\n${indent}}` : 'Record<string, unknown>');
+  }
+
+  return 'unknown';
+}
+
+/**
+ * Pick the schema type of a content map ({ 'application/json': { schema } })
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} content - Content map
+ * @param {string} indent - Indentation
+ * @returns {string|null} - TypeScript type, or null without content
+ */
+function contentType(spec, content, indent) {
+  const entries = Object.entries(content || {});
+  if (!entries.length) return null;
+  
+  const [mediaType, media] = entries.find(([type]) => /[/+]json\b/i.test(type)) || entries[0];
+  if (/[/+]json\b/i.test(mediaType) || /form-data|x-www-form-urlencoded/i.test(mediaType)) {
+    return schemaToType(spec, media?.schema, indent);
+  }
+  return /^text\//i.test(mediaType) ? 'string' : 'Blob';
+}
+
+/**
+ * Build the type of a group of parameters ({ id: number })
+ * @param {Object} spec - OpenAPI document
+ * @param {Array<Object>} parameters - Parameter objects of one location
+ * @param {string} indent - Indentation
+ * @returns {string} - TypeScript object type
+ */
+function parametersType(spec, parameters, indent) {
+  const inner = `${indent}  `;
+  const members = parameters.map((parameter) => {
+    const optional = parameter.required || parameter.in === 'path' ? '' : '?';
+    const type = parameter.schema ? schemaToType(spec, parameter.schema, inner) : contentType(spec, parameter.content, inner) || 'unknown';
+    return `${docComment(parameter.description, inner)}${inner}${propertyKey(parameter.name)}${optional}: ${type};`;
+  });
+  return `{\n${members.join('\n')}\n${indent}}`;
+}
+
+/**
+ * Generate the .d.ts source for an OpenAPI document
+ * @param {Object} spec - OpenAPI document
+ * @param {string} pkg - Package name to import ZogHttp types from
+ * @returns {string} - Declaration file source
+ */
+function generateTypes(spec, pkg) {
+  const out = [
+    `import type { HttpResponse, RequestOptions, RequestPromise, EndpointDefinition, ZogHttpClient, ScopedHttpClient } from '${pkg}';`,
+    '',
+    'type CallOptions = Omit<RequestOptions, \'method\' | \'url\' | \'pathParams\' | \'params\' | \'headers\' | \'body\'>;',
+    '',
+  ];
+  
+  for (const [name, schema] of Object.entries(spec.components?.schemas || {})) {
+    out.push(`${docComment(schema?.description, '')}export type ${typeName(name)} = ${schemaToType(spec, schema)};`, '');
+  }
+
+  out.push('export interface Api {');
+  for (const { name, method, path, operation, parameters, requestBody } of openApiOperations(spec)) {
+    const fields = [];
+    const locations = { path: 'pathParams', query: 'params', header: 'headers' };
+    
+    for (const [location, field] of Object.entries(locations)) {
+      const group = parameters.filter(parameter => parameter.in === location);
+      if (!group.length) continue;
+      
+      const required = group.some(parameter => parameter.required || location === 'path');
+      let type = parametersType(spec, group, '    ');
+      if (location === 'header') type += ' & Record<string, string>';
+      fields.push(`    ${field}${required ? '' : '?'}: ${type};`);
+    }
+    
+    const bodyType = requestBody && contentType(spec, requestBody.content, '    ');
+    if (bodyType) {
+      fields.push(`    body${requestBody.required ? '' : '?'}: ${bodyType};`);
+    }
+    
+    // First successful response with a body decides the data type
+    const responses = Object.entries(operation.responses || {});
+    const success = responses.find(([status]) => /^2(\d\d|XX)$/i.test(status) && status !== '204')
+      || responses.find(([status]) => status === 'default');
+    const response = success && contentType(spec, resolveLocal(spec, success[1])?.content, '  ');
+    
+    const input = fields.length ? `{\n${fields.join('\n')}\n  } & CallOptions` : 'CallOptions';
+    const optionalInput = fields.every(field => /^\s+\w+\?:/.test(field));
+    const summary = [operation.summary, `${method} ${path}`].filter(Boolean).join('\n\n');
+    
+    out.push(
+      `${docComment(summary, '  ')}  ${propertyKey(name)}(input${optionalInput ? '?' : ''}: ${input}): RequestPromise<HttpResponse<${response || 'null'}>>;`
+    );
+  }
+  out.push('}', '');
+  
+  out.push(
+    'export declare const definitions: Record<keyof Api, EndpointDefinition>;',
+    '',
+    '/** Bind the API to a client (e.g. $http or this.$httpScope) */',
+    'export declare function createApi(http: ZogHttpClient | ScopedHttpClient): Api;',
+    ''
+  );
+  
+  return out.join('\n');
+}
+
+/**
+ * Generate the client module source
+ * @param {Object} definitions - defineApi() definitions
+ * @param {string} source - Spec file name, for the header comment
+ * @param {string} pkg - Package name, for JSDoc types
+ * @returns {string} - Module source
+ */
+function generateModule(definitions, source, pkg) {
+  return [
+    `// Generated by zog-http-openapi from ${source}. Do not edit.`,
+    '',
+    `export const definitions = ${JSON.stringify(definitions, null, 2)};`,
+    '',
+    '/**',
+    ' * Bind the API to a client (e.g. $http or this.$httpScope)',
+    ` * @param {import('${pkg}').ZogHttpClient|import('${pkg}').ScopedHttpClient} http - Client used to send requests`,
+    ' * @returns {Object} - operationId -> endpoint function',
+    ' */',
+    'export function createApi(http) {',
+    '  return http.defineApi(definitions);',
+    '}',
+    '',
+  ].join('\n');
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || !args.input) {
+    console.log(USAGE);
+    process.exitCode = args.help ? 0 : 1;
+    return;
+  }
+
+  const spec = await readSpec(resolve(args.input));
+  const definitions = openApiDefinitions(spec, { server: args.server });
+  const out = resolve(args.out.replace(/\.(js|d\.ts)$/, ''));
+  
+  await mkdir(dirname(out), { recursive: true });
+  await writeFile(`${out}.js`, generateModule(definitions, basename(args.input), args.pkg));
+  await writeFile(`${out}.d.ts`, generateTypes(spec, args.pkg));
+  
+  console.log(`Generated ${Object.keys(definitions).length} operations: ${out}.js, ${out}.d.ts`);
+}
+
+main().catch((error) => {
+  console.error(`zog-http-openapi: ${error.message}`);
+  process.exitCode = 1;
+});
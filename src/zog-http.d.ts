@@ -0,0 +1,991 @@
+/**
+ * Type declarations for ZogHttp Plugin
+ */
+
+export type HttpMethod = 'GET' | 'POST' | 'PUT' | 'PATCH' | 'DELETE' | 'HEAD' | 'OPTIONS';
+
+export type ResponseType = 'json' | 'text' | 'blob' | 'arraybuffer' | 'formData' | 'stream' | 'raw';
+
+export type CacheMode = boolean | 'no-store' | 'force-cache' | 'stale-while-revalidate' | 'reload';
+
+export type BodySerializer = (body: any, headers: Record<string, string>) => BodyInit;
+
+export interface ParamsSerializerOptions {
+  arrayFormat?: 'repeat' | 'brackets' | 'indices' | 'comma';
+  encode?: (value: string) => string;
+  serializeDate?: (date: Date) => string;
+}
+
+export type ParamsSerializer = ParamsSerializerOptions | ((params: Record<string, any>) => string);
+
+export interface RetryPolicy {
+  retries?: number;
+  /** Base delay in milliseconds (defaults to the retryDelay option) */
+  delay?: number;
+  factor?: number;
+  maxDelay?: number;
+  jitter?: number;
+  retryOn?:
+    | { statuses?: number[]; methods?: string[] }
+    | ((error: HttpError, info: { attempt: number; config: RequestConfig }) => boolean);
+  respectRetryAfter?: boolean;
+  onRetry?: ((error: HttpError, info: { attempt: number; delay: number; config: RequestConfig }) => void) | null;
+}
+
+export interface AuthOptions {
+  getAccessToken?: () => string | null | undefined | Promise<string | null | undefined>;
+  refreshToken?: (error: HttpError) => string | null | undefined | Promise<string | null | undefined>;
+  shouldRefresh?: (error: HttpError) => boolean;
+  scheme?: string;
+}
+
+export interface HttpClientConfig {
+  baseURL?: string;
+  timeout?: number;
+  totalTimeout?: number;
+  headers?: Record<string, string>;
+  withCredentials?: boolean;
+  retries?: number;
+  retryDelay?: number;
+  retryPolicy?: RetryPolicy;
+  cache?: CacheMode;
+  cacheTTL?: number;
+  dedupe?: boolean;
+  auth?: AuthOptions | null;
+  responseType?: ResponseType | null;
+  serializers?: Record<string, BodySerializer>;
+  paramsSerializer?: ParamsSerializer;
+  transformRequest?: RequestTransform | readonly RequestTransform[];
+  transformResponse?: ResponseTransform | readonly ResponseTransform[];
+  validate?: Validator | null;
+  adapter?: AdapterOption;
+}
+
+export interface TransportProgress {
+  loaded: number;
+  /** 0 when unknown */
+  total: number;
+}
+
+/** What a transport adapter receives */
+export interface AdapterRequest {
+  /** Full URL with query string */
+  url: string;
+  method: string;
+  headers: Record<string, string>;
+  /** Serialized body */
+  body?: BodyInit | null;
+  signal?: AbortSignal;
+  credentials?: RequestCredentials;
+  responseType?: ResponseType | null;
+  onUploadProgress?: (progress: TransportProgress) => void;
+  onDownloadProgress?: (progress: TransportProgress) => void;
+  [key: string]: any;
+}
+
+/** What a transport adapter resolves to */
+export interface AdapterResponse<T = any> {
+  data: T;
+  status: number;
+  statusText?: string;
+  headers?: Record<string, string>;
+}
+
+/**
+ * Sends a request. Rejects with an AbortError when the signal aborts,
+ * and with an HttpError with code 'ENETWORK' when the network fails.
+ */
+export type Adapter = (request: AdapterRequest) => Promise<AdapterResponse>;
+
+export type AdapterOption = 'fetch' | 'xhr' | Adapter | null;
+
+/** Minimal Standard Schema interface (https://standardschema.dev), implemented by Zod, Valibot, ArkType... */
+export interface StandardSchema<Input = unknown, Output = Input> {
+  readonly '~standard': {
+    readonly version: 1;
+    readonly vendor: string;
+    readonly validate: (value: unknown) => StandardResult<Output> | Promise<StandardResult<Output>>;
+    readonly types?: { readonly input: Input; readonly output: Output };
+  };
+}
+
+export type StandardResult<Output> =
+  | { readonly value: Output; readonly issues?: undefined }
+  | { readonly issues: ReadonlyArray<ValidationIssue> };
+
+export interface ValidationIssue {
+  readonly message: string;
+  readonly path?: ReadonlyArray<PropertyKey | { readonly key: PropertyKey }>;
+}
+
+/** Predicate, Standard Schema, or schema with parse() */
+export type Validator<T = any> =
+  | ((data: T, response: HttpResponse<T>) => boolean | Promise<boolean>)
+  | StandardSchema<any, T>
+  | { parse(value: unknown): T };
+
+export type RequestTransform = (body: any, config: RequestConfig) => any;
+
+export type ResponseTransform = (data: any, response: HttpResponse) => any;
+
+export interface RequestOptions {
+  method?: HttpMethod | Lowercase<HttpMethod>;
+  url?: string;
+  baseURL?: string;
+  pathParams?: Record<string, string | number | boolean>;
+  params?: Record<string, any>;
+  paramsSerializer?: ParamsSerializer;
+  body?: any;
+  headers?: Record<string, string>;
+  timeout?: number;
+  totalTimeout?: number;
+  withCredentials?: boolean;
+  retries?: number;
+  retryDelay?: number;
+  retryPolicy?: RetryPolicy;
+  cache?: CacheMode;
+  cacheTTL?: number;
+  dedupe?: boolean;
+  auth?: false;
+  responseType?: ResponseType | null;
+  transformRequest?: RequestTransform | readonly RequestTransform[];
+  transformResponse?: ResponseTransform | readonly ResponseTransform[];
+  validate?: Validator | null;
+  /** Checks the query parameters before they are serialized */
+  validateParams?:
+    | ((params: Record<string, any>, config: RequestConfig) => boolean | Promise<boolean>)
+    | StandardSchema<any, Record<string, any>>
+    | { parse(value: unknown): Record<string, any> }
+    | null;
+  /** Checks the body as given, before transformRequest */
+  validateBody?:
+    | ((body: any, config: RequestConfig) => boolean | Promise<boolean>)
+    | StandardSchema<any, any>
+    | { parse(value: unknown): any }
+    | null;
+  adapter?: AdapterOption;
+  /** Transport progress; with the default adapter, onUploadProgress switches to XHR */
+  onUploadProgress?: (progress: TransportProgress) => void;
+  onDownloadProgress?: (progress: TransportProgress) => void;
+  signal?: AbortSignal;
+  /** Skip all interceptors, or the ones with these IDs */
+  skipInterceptors?: boolean | number[];
+  group?: string | string[];
+  tags?: string | string[];
+  [key: string]: any;
+}
+
+export interface InterceptorOptions {
+  /** Higher priorities run first (default 0) */
+  priority?: number;
+  /** Skip the interceptor for requests where this returns false */
+  runWhen?: ((config: RequestConfig) => boolean) | null;
+  /** Call without awaiting; the handler must not return a promise */
+  synchronous?: boolean;
+}
+
+export interface MiddlewareContext {
+  requestId: string;
+  /** 1 for the first try, incremented by each retry */
+  attempt: number;
+  config: RequestConfig;
+  /** Full URL with query string */
+  url: string;
+  /** Transport options for this attempt, passed to the adapter with url and responseType */
+  request: RequestInit & { method: string; headers: Record<string, string> };
+  response: Partial<HttpResponse> | null;
+  /** Free-form storage shared between middleware */
+  state: Record<string, any>;
+}
+
+export type Middleware = (
+  ctx: MiddlewareContext,
+  next: () => Promise<HttpResponse>
+) => Partial<HttpResponse> | void | Promise<Partial<HttpResponse> | void>;
+
+export interface RequestConfig extends Omit<RequestOptions, 'method'> {
+  method: string;
+  url: string;
+  headers: Record<string, string>;
+}
+
+export interface HttpResponse<T = any> {
+  data: T;
+  status: number;
+  statusText: string;
+  headers: Record<string, string>;
+  config: RequestConfig;
+  request: { url: string; [key: string]: any };
+}
+
+/** Promise returned by request() and the method shortcuts */
+export interface RequestPromise<T> extends Promise<T> {
+  requestId: string;
+  abort(): void;
+}
+
+export declare const HttpStatus: {
+  readonly OK: 200;
+  readonly CREATED: 201;
+  readonly NO_CONTENT: 204;
+  readonly BAD_REQUEST: 400;
+  readonly UNAUTHORIZED: 401;
+  readonly FORBIDDEN: 403;
+  readonly NOT_FOUND: 404;
+  readonly UNPROCESSABLE_ENTITY: 422;
+  readonly INTERNAL_SERVER_ERROR: 500;
+  readonly BAD_GATEWAY: 502;
+  readonly SERVICE_UNAVAILABLE: 503;
+};
+
+export declare const HttpErrorCode: {
+  readonly TIMEOUT: 'ETIMEDOUT';
+  readonly CANCELED: 'ECANCELED';
+  readonly NETWORK: 'ENETWORK';
+  readonly MISSING_PATH_PARAM: 'EPATHPARAM';
+  readonly VALIDATION: 'EVALIDATION';
+};
+
+export declare class HttpError<T = any> extends Error {
+  constructor(
+    message: string,
+    status: number,
+    response: HttpResponse<T> | null,
+    request: any,
+    code?: string | null
+  );
+  name: string;
+  status: number;
+  response: HttpResponse<T> | null;
+  request: any;
+  code: string | null;
+  cause?: unknown;
+  isHttpError: true;
+}
+
+export declare class HttpValidationError<T = any> extends HttpError<T> {
+  constructor(message: string, issues: ValidationIssue[], response: HttpResponse<T> | null, request: any);
+  code: 'EVALIDATION';
+  issues: ValidationIssue[];
+}
+
+export interface TransferProgress {
+  loaded: number;
+  total: number;
+  progress: number;
+  speed: number;
+  remainingTime: number;
+}
+
+export interface TransferState extends TransferProgress {
+  status: 'idle' | 'uploading' | 'paused' | 'completed' | 'error';
+  /** Error message */
+  error: string | null;
+  startTime: number | null;
+}
+
+export declare class UploadTracker {
+  constructor(reactive: <T extends object>(value: T) => T);
+  state: TransferState;
+}
+
+export interface FileValidationIssue extends ValidationIssue {
+  reason: 'type' | 'size' | 'count' | 'custom';
+  file?: File | Blob;
+}
+
+/** Turns a file into the one to upload; a plain Blob keeps the original file name */
+export type FilePreprocessor = (file: File | Blob, index: number) => File | Blob | void | Promise<File | Blob | void>;
+
+export interface ResizeImageOptions {
+  maxWidth?: number;
+  maxHeight?: number;
+  /** Encoder quality from 0 to 1 (default 0.9) */
+  quality?: number;
+  /** Output MIME type (default the file's own) */
+  type?: string;
+}
+
+export interface UploadOptions extends RequestOptions {
+  fieldName?: string;
+  additionalData?: Record<string, any>;
+  /** Accepted MIME types, wildcards and extensions, as in <input accept> ('image/*,.pdf') */
+  accept?: string | string[];
+  /** Largest accepted file, in bytes */
+  maxSize?: number;
+  maxFiles?: number;
+  /** Predicate, Standard Schema, or schema with parse(), run on each file */
+  validateFile?:
+    | ((file: File | Blob, index: number) => boolean | Promise<boolean>)
+    | StandardSchema<any, any>
+    | { parse(value: unknown): any };
+  /** Steps run on each file after validation, e.g. resizeImage() */
+  preprocess?: FilePreprocessor | FilePreprocessor[];
+  /** Send the SHA-256 (hex) of each file, in X-Checksum-SHA256 or the header named here */
+  checksum?: boolean | string;
+  onProgress?: (progress: TransferProgress) => void;
+  onComplete?: (response: HttpResponse) => void;
+  onError?: (error: HttpError) => void;
+}
+
+export interface ChunkedUploadOptions extends Omit<UploadOptions, 'fieldName' | 'additionalData'> {
+  /** Bytes per chunk (default 5 MB) */
+  chunkSize?: number;
+  /** 'content-range' (default) sends each chunk with a Content-Range header; 'tus' follows tus 1.0 */
+  protocol?: 'content-range' | 'tus';
+  /** tus: URL of an upload created earlier, to continue it */
+  uploadUrl?: string | null;
+  /** tus: Upload-Metadata entries (filename and filetype are added from the file) */
+  metadata?: Record<string, string | number | boolean>;
+  /** Attempts per chunk after the first (default 3) */
+  chunkRetries?: number;
+  /** tus: called with the upload URL once the upload is created */
+  onUploadUrl?: (uploadUrl: string) => void;
+}
+
+export interface ChunkedUploadHandle<T> extends TransferHandle<T> {
+  pause(): void;
+  resume(): void;
+  /** tus: URL of the upload, once created */
+  uploadUrl: string | null;
+}
+
+export interface UploadQueueItem<T = any> {
+  id: string;
+  file: File;
+  name: string;
+  size: number;
+  status: 'queued' | 'uploading' | 'paused' | 'completed' | 'failed' | 'cancelled';
+  tracker: TransferState;
+  response: HttpResponse<T> | null;
+  error: HttpError | null;
+}
+
+export interface UploadQueueState<T = any> {
+  items: UploadQueueItem<T>[];
+  status: 'idle' | 'uploading' | 'paused' | 'completed' | 'error';
+  total: number;
+  queued: number;
+  uploading: number;
+  completed: number;
+  failed: number;
+  cancelled: number;
+  loaded: number;
+  totalBytes: number;
+  progress: number;
+  speed: number;
+  remainingTime: number;
+  startTime: number | null;
+}
+
+export interface UploadQueueResult<T = any> {
+  completed: UploadQueueItem<T>[];
+  failed: UploadQueueItem<T>[];
+  cancelled: UploadQueueItem<T>[];
+}
+
+export interface UploadQueueOptions<T = any> extends Omit<UploadOptions, 'onProgress' | 'onComplete' | 'onError'>,
+  Omit<ChunkedUploadOptions, keyof UploadOptions | 'chunkSize'> {
+  /** Files uploading at once (default 3) */
+  concurrency?: number;
+  /** Start uploading right away (default true) */
+  autoStart?: boolean;
+  /** Upload each file in chunks of this many bytes */
+  chunkSize?: number;
+  onProgress?: (progress: TransferProgress, item: UploadQueueItem<T>) => void;
+  onFileComplete?: (item: UploadQueueItem<T>, response: HttpResponse<T>) => void;
+  onFileError?: (item: UploadQueueItem<T>, error: HttpError) => void;
+  onComplete?: (result: UploadQueueResult<T>) => void;
+}
+
+export declare class UploadQueue<T = any> {
+  constructor(http: ZogHttpClient | ScopedHttpClient, url: string, files?: File | File[] | FileList, options?: UploadQueueOptions<T>);
+  state: UploadQueueState<T>;
+  concurrency: number;
+  add(files: File | File[] | FileList): UploadQueueItem<T>[];
+  start(): this;
+  pause(): this;
+  resume(): this;
+  retryFailed(): number;
+  cancel(fileId: string): boolean;
+  cancelAll(): number;
+  done(): Promise<UploadQueueResult<T>>;
+  find(fileId: string): UploadQueueItem<T> | undefined;
+}
+
+export interface DownloadOptions extends RequestOptions {
+  filename?: string;
+  onProgress?: (progress: TransferProgress) => void;
+  onComplete?: (result: DownloadResult) => void;
+  onError?: (error: HttpError) => void;
+}
+
+export interface DownloadResult {
+  blob: Blob;
+  filename?: string;
+  size: number;
+}
+
+export interface TransferHandle<T> {
+  promise: Promise<T>;
+  tracker: TransferState;
+  abort(): void;
+  requestId: string;
+}
+
+export interface RequestResource<T = any> {
+  data: T | null;
+  error: HttpError | null;
+  loading: boolean;
+  status: number | null;
+  response: HttpResponse<T> | null;
+  refetch(): Promise<HttpResponse<T> | null>;
+  abort(): void;
+  mutate(data: T | ((data: T | null) => T)): void;
+  mutate(data: T | ((data: T | null) => T), options: { revalidate: true }): Promise<HttpResponse<T> | null>;
+  mutate(data: T | ((data: T | null) => T), options?: { revalidate?: boolean }): Promise<HttpResponse<T> | null> | undefined;
+}
+
+export interface UseRequestOptions<T = any> extends Omit<RequestOptions, 'params'> {
+  params?: Record<string, any> | (() => Record<string, any>);
+  immediate?: boolean;
+  lazy?: boolean;
+  initialData?: T;
+  onSuccess?: (response: HttpResponse<T>) => void;
+  onError?: (error: HttpError) => void;
+}
+
+export interface PaginateOptions extends RequestOptions {
+  strategy?: 'page' | 'offset' | 'cursor' | 'link';
+  pageParam?: string;
+  sizeParam?: string;
+  startPage?: number;
+  offsetParam?: string;
+  limitParam?: string;
+  pageSize?: number | null;
+  cursorParam?: string;
+  cursorPath?: string;
+  itemsPath?: string | null;
+  getItems?: ((response: HttpResponse) => any[]) | null;
+  maxPages?: number;
+}
+
+export interface Page<T = any> {
+  items: T[];
+  response: HttpResponse;
+  index: number;
+}
+
+export interface PaginatedList<T = any> {
+  items: T[];
+  pages: number;
+  hasMore: boolean;
+  loading: boolean;
+  error: HttpError | null;
+  loadMore(): Promise<Page<T> | null>;
+  reset(): Promise<Page<T> | null>;
+}
+
+export interface PollOptions<T = any> extends RequestOptions {
+  interval?: number;
+  until?: (response: HttpResponse<T>) => boolean;
+  maxAttempts?: number;
+  backoff?: number | ((attempt: number, interval: number) => number);
+  maxInterval?: number;
+  immediate?: boolean;
+  pauseWhenHidden?: boolean;
+  pauseWhenOffline?: boolean;
+}
+
+export interface PollHandle<T = any> {
+  state: {
+    data: T | null;
+    error: HttpError | null;
+    status: number | null;
+    response: HttpResponse<T> | null;
+    attempts: number;
+    [key: string]: any;
+  };
+  /** Resolves with the response that satisfied `until`, or null once polling stops without one */
+  promise: Promise<HttpResponse<T> | null>;
+  stop(): void;
+  pause(): void;
+  resume(): void;
+  requestId: string;
+}
+
+export interface CacheEntryState<T = any> {
+  data: T | null;
+  status: number | null;
+  updatedAt: number | null;
+  stale: boolean;
+  revalidating: boolean;
+}
+
+export interface HttpState {
+  loading: boolean;
+  error: HttpError | null;
+  lastRequest: { url: string; method: string; time: number; attempt: number } | null;
+  pendingRequests: number;
+  retrying: number;
+  revalidating: number;
+  refreshingAuth: boolean;
+}
+
+// ---------------------------------------------------------------------------
+// defineApi()
+// ---------------------------------------------------------------------------
+
+/** Type carried by a schema: its Standard Schema output, the result of parse(), or the marker value's own type */
+export type Infer<S> = S extends StandardSchema<any, infer O>
+  ? O
+  : S extends { parse(value: any): infer T }
+    ? Awaited<T>
+    : S;
+
+type ColonParams<P extends string> = P extends `${string}:${infer Rest}`
+  ? Rest extends `${infer Name}/${infer Tail}`
+    ? Name | ColonParams<Tail>
+    : Rest extends `${infer Name}?${string}`
+      ? Name
+      : Rest
+  : never;
+
+type BraceParams<P extends string> = P extends `${string}{${infer Name}}${infer Rest}`
+  ? Name | BraceParams<Rest>
+  : never;
+
+/** Placeholder names of a path template ('/users/:id/posts/{postId}' -> 'id' | 'postId') */
+export type PathParamNames<P extends string> = Exclude<ColonParams<P> | BraceParams<P>, '' | `${number}` | `/${string}`>;
+
+export interface EndpointDefinition {
+  method?: HttpMethod;
+  path: string;
+  /** Body schema or type marker */
+  body?: unknown;
+  /** Query parameters schema or type marker */
+  params?: unknown;
+  /** Response data schema or type marker */
+  response?: unknown;
+  headers?: Record<string, string>;
+  timeout?: number;
+  totalTimeout?: number;
+  retries?: number;
+  retryDelay?: number;
+  retryPolicy?: RetryPolicy;
+  cache?: CacheMode;
+  cacheTTL?: number;
+  dedupe?: boolean;
+  responseType?: ResponseType | null;
+  [key: string]: any;
+}
+
+type PathInput<P extends string> = [PathParamNames<P>] extends [never]
+  ? { pathParams?: Record<string, string | number | boolean> }
+  : { pathParams: Record<PathParamNames<P>, string | number | boolean> };
+
+type BodyInput<D> = D extends { body: infer S }
+  ? { body: StandardInput<S> }
+  : D extends { transformRequest: (body: infer B, ...args: any[]) => any }
+    ? { body: B }
+    : { body?: any };
+
+/** Input type of a Standard Schema (what callers pass), otherwise the same as Infer */
+type StandardInput<S> = S extends StandardSchema<infer I, any> ? I : Infer<S>;
+
+type TransformOutput<T> = T extends (...args: any[]) => infer R
+  ? Awaited<R>
+  : T extends readonly [...any[], (...args: any[]) => infer R]
+    ? Awaited<R>
+    : any;
+
+type ParamsInput<D> = D extends { params: infer S } ? { params?: Infer<S> } : { params?: Record<string, any> };
+
+/** Argument of a generated endpoint function */
+export type EndpointInput<D extends EndpointDefinition> = PathInput<D['path']> &
+  BodyInput<D> &
+  ParamsInput<D> &
+  Omit<RequestOptions, 'method' | 'url' | 'pathParams' | 'params' | 'body'>;
+
+/** Response data type of an endpoint: the response schema (checked after transforms), else the last transform */
+export type EndpointData<D extends EndpointDefinition> = D extends { response: infer S }
+  ? Infer<S>
+  : D extends { transformResponse: infer T }
+    ? TransformOutput<T>
+    : any;
+
+export type Endpoint<D extends EndpointDefinition> = {} extends EndpointInput<D>
+  ? (input?: EndpointInput<D>) => RequestPromise<HttpResponse<EndpointData<D>>>
+  : (input: EndpointInput<D>) => RequestPromise<HttpResponse<EndpointData<D>>>;
+
+export type Api<Defs extends Record<string, EndpointDefinition>> = {
+  [K in keyof Defs]: Endpoint<Defs[K]>;
+};
+
+// ---------------------------------------------------------------------------
+// OpenAPI import
+// ---------------------------------------------------------------------------
+
+export interface OpenApiOptions {
+  /** Index into `servers`, a server URL, or false to keep the client's baseURL (default 0) */
+  server?: number | string | false;
+}
+
+export interface OpenApiOperation {
+  name: string;
+  method: HttpMethod;
+  path: string;
+  operation: Record<string, any>;
+  parameters: Array<{ name: string; in: 'path' | 'query' | 'header' | 'cookie'; required?: boolean; [key: string]: any }>;
+  requestBody: Record<string, any> | null;
+}
+
+/** Untyped endpoint function; generate typed ones with the zog-http-openapi CLI */
+export type OpenApiEndpoint = (
+  input?: {
+    pathParams?: Record<string, string | number | boolean>;
+    params?: Record<string, any>;
+    body?: any;
+  } & Omit<RequestOptions, 'method' | 'url' | 'pathParams' | 'params' | 'body'>
+) => RequestPromise<HttpResponse>;
+
+export declare function openApiOperations(spec: object | string): OpenApiOperation[];
+
+export declare function openApiDefinitions(spec: object | string, options?: OpenApiOptions): Record<string, EndpointDefinition>;
+
+// ---------------------------------------------------------------------------
+// Clients
+// ---------------------------------------------------------------------------
+
+interface HttpMethods {
+  request<T = any>(options: RequestOptions & { url: string }): RequestPromise<HttpResponse<T>>;
+  get<T = any>(url: string, options?: RequestOptions): RequestPromise<HttpResponse<T>>;
+  post<T = any>(url: string, body?: any, options?: RequestOptions): RequestPromise<HttpResponse<T>>;
+  put<T = any>(url: string, body?: any, options?: RequestOptions): RequestPromise<HttpResponse<T>>;
+  patch<T = any>(url: string, body?: any, options?: RequestOptions): RequestPromise<HttpResponse<T>>;
+  delete<T = any>(url: string, options?: RequestOptions): RequestPromise<HttpResponse<T>>;
+  head(url: string, options?: RequestOptions): RequestPromise<HttpResponse<null>>;
+  options<T = any>(url: string, options?: RequestOptions): RequestPromise<HttpResponse<T>>;
+  upload<T = any>(url: string, file: Blob, options: ChunkedUploadOptions & { chunkSize: number }): ChunkedUploadHandle<HttpResponse<T>>;
+  upload<T = any>(url: string, files: File | File[] | FormData, options?: UploadOptions): TransferHandle<HttpResponse<T>>;
+  download(url: string, options?: DownloadOptions): TransferHandle<DownloadResult>;
+  uploadQueue<T = any>(url: string, files: File | File[] | FileList, options?: UploadQueueOptions<T>): UploadQueue<T>;
+  useRequest<T = any>(
+    urlOrFn: string | (() => string | null | undefined | false),
+    options?: UseRequestOptions<T>
+  ): RequestResource<T>;
+  paginate<T = any>(url: string, options?: PaginateOptions): AsyncGenerator<Page<T>, void, unknown>;
+  usePaginatedRequest<T = any>(
+    url: string,
+    options?: Omit<PaginateOptions, 'params'> & { params?: Record<string, any> | (() => Record<string, any>); immediate?: boolean }
+  ): PaginatedList<T>;
+  poll<T = any>(url: string, options?: PollOptions<T>): PollHandle<T>;
+  defineApi<const Defs extends Record<string, EndpointDefinition>>(definitions: Defs): Api<Defs>;
+  fromOpenApi(spec: object | string, options?: OpenApiOptions): Record<string, OpenApiEndpoint>;
+  cancelAll(): unknown;
+}
+
+export declare class ZogHttpClient implements HttpMethods {
+  constructor(
+    config: HttpClientConfig,
+    reactive: <T extends object>(value: T) => T,
+    ref?: any,
+    effect?: ((fn: () => void) => any) | null
+  );
+  config: Required<HttpClientConfig>;
+  state: HttpState;
+  cache: ResponseCache;
+
+  setBaseURL(url: string): this;
+  setHeader(key: string, value: string): this;
+  setHeaders(headers: Record<string, string>): this;
+  removeHeader(key: string): this;
+  setAuthToken(token: string | null): this;
+  setBasicAuth(username: string, password: string): this;
+  clearAuth(): this;
+  registerSerializer(contentType: string, serializer: BodySerializer): this;
+  setTimeout(ms: number): this;
+
+  addRequestInterceptor(
+    fulfilled: ((config: RequestConfig) => RequestConfig | void | Promise<RequestConfig | void>) | null,
+    rejected?: ((error: any) => any) | null,
+    options?: InterceptorOptions
+  ): number;
+  addResponseInterceptor(
+    fulfilled: ((response: HttpResponse) => HttpResponse | void | Promise<HttpResponse | void>) | null,
+    rejected?: ((error: HttpError) => any) | null,
+    options?: InterceptorOptions
+  ): number;
+  removeRequestInterceptor(id: number): boolean;
+  removeResponseInterceptor(id: number): boolean;
+  clearInterceptors(): void;
+  use(middleware: Middleware): this;
+  removeMiddleware(middleware: Middleware): boolean;
+  startRecording(options?: RecordingOptions): this;
+  stopRecording(): Har | null;
+  replay(har: Har | string, options?: ReplayOptions): this;
+  stopReplay(): this;
+  getTransport(adapter?: AdapterOption, uploadProgress?: boolean): Adapter;
+  dispatchRequest(ctx: MiddlewareContext): Promise<HttpResponse>;
+
+  buildURL(url: string, params?: Record<string, any>, paramsSerializer?: ParamsSerializer, baseURL?: string): string;
+
+  request<T = any>(options: RequestOptions & { url: string }): RequestPromise<HttpResponse<T>>;
+  get<T = any>(url: string, options?: RequestOptions): RequestPromise<HttpResponse<T>>;
+  post<T = any>(url: string, body?: any, options?: RequestOptions): RequestPromise<HttpResponse<T>>;
+  put<T = any>(url: string, body?: any, options?: RequestOptions): RequestPromise<HttpResponse<T>>;
+  patch<T = any>(url: string, body?: any, options?: RequestOptions): RequestPromise<HttpResponse<T>>;
+  delete<T = any>(url: string, options?: RequestOptions): RequestPromise<HttpResponse<T>>;
+  head(url: string, options?: RequestOptions): RequestPromise<HttpResponse<null>>;
+  options<T = any>(url: string, options?: RequestOptions): RequestPromise<HttpResponse<T>>;
+  upload<T = any>(url: string, file: Blob, options: ChunkedUploadOptions & { chunkSize: number }): ChunkedUploadHandle<HttpResponse<T>>;
+  upload<T = any>(url: string, files: File | File[] | FormData, options?: UploadOptions): TransferHandle<HttpResponse<T>>;
+  download(url: string, options?: DownloadOptions): TransferHandle<DownloadResult>;
+  uploadQueue<T = any>(url: string, files: File | File[] | FileList, options?: UploadQueueOptions<T>): UploadQueue<T>;
+  parseXHRHeaders(headersString: string): Record<string, string>;
+  uploadChunked<T = any>(url: string, file: Blob, options?: ChunkedUploadOptions): ChunkedUploadHandle<HttpResponse<T>>;
+  isRetryableChunkError(error: HttpError, protocol: 'content-range' | 'tus'): boolean;
+
+  cacheState<T = any>(url: string, options?: RequestOptions): CacheEntryState<T>;
+  invalidate(pattern: string | RegExp | ((key: string, entry: any) => boolean)): number;
+  clearCache(): this;
+
+  cancelRequest(requestId: string): void;
+  cancelGroup(tag: string): number;
+  cancelAll(): void;
+
+  useRequest<T = any>(
+    urlOrFn: string | (() => string | null | undefined | false),
+    options?: UseRequestOptions<T>
+  ): RequestResource<T>;
+  paginate<T = any>(url: string, options?: PaginateOptions): AsyncGenerator<Page<T>, void, unknown>;
+  usePaginatedRequest<T = any>(
+    url: string,
+    options?: Omit<PaginateOptions, 'params'> & { params?: Record<string, any> | (() => Record<string, any>); immediate?: boolean }
+  ): PaginatedList<T>;
+  poll<T = any>(url: string, options?: PollOptions<T>): PollHandle<T>;
+  defineApi<const Defs extends Record<string, EndpointDefinition>>(definitions: Defs): Api<Defs>;
+  fromOpenApi(spec: object | string, options?: OpenApiOptions): Record<string, OpenApiEndpoint>;
+
+  createScope(): ScopedHttpClient;
+  create(config?: HttpClientConfig): ZogHttpClient;
+}
+
+export declare class ScopedHttpClient implements HttpMethods {
+  constructor(client: ZogHttpClient);
+  client: ZogHttpClient;
+  group: string;
+  disposed: boolean;
+  state: { loading: boolean; error: HttpError | null; pendingRequests: number };
+
+  request<T = any>(options: RequestOptions & { url: string }): RequestPromise<HttpResponse<T>>;
+  get<T = any>(url: string, options?: RequestOptions): RequestPromise<HttpResponse<T>>;
+  post<T = any>(url: string, body?: any, options?: RequestOptions): RequestPromise<HttpResponse<T>>;
+  put<T = any>(url: string, body?: any, options?: RequestOptions): RequestPromise<HttpResponse<T>>;
+  patch<T = any>(url: string, body?: any, options?: RequestOptions): RequestPromise<HttpResponse<T>>;
+  delete<T = any>(url: string, options?: RequestOptions): RequestPromise<HttpResponse<T>>;
+  head(url: string, options?: RequestOptions): RequestPromise<HttpResponse<null>>;
+  options<T = any>(url: string, options?: RequestOptions): RequestPromise<HttpResponse<T>>;
+  upload<T = any>(url: string, file: Blob, options: ChunkedUploadOptions & { chunkSize: number }): ChunkedUploadHandle<HttpResponse<T>>;
+  upload<T = any>(url: string, files: File | File[] | FormData, options?: UploadOptions): TransferHandle<HttpResponse<T>>;
+  download(url: string, options?: DownloadOptions): TransferHandle<DownloadResult>;
+  uploadQueue<T = any>(url: string, files: File | File[] | FileList, options?: UploadQueueOptions<T>): UploadQueue<T>;
+  useRequest<T = any>(
+    urlOrFn: string | (() => string | null | undefined | false),
+    options?: UseRequestOptions<T>
+  ): RequestResource<T>;
+  paginate<T = any>(url: string, options?: PaginateOptions): AsyncGenerator<Page<T>, void, unknown>;
+  usePaginatedRequest<T = any>(
+    url: string,
+    options?: Omit<PaginateOptions, 'params'> & { params?: Record<string, any> | (() => Record<string, any>); immediate?: boolean }
+  ): PaginatedList<T>;
+  poll<T = any>(url: string, options?: PollOptions<T>): PollHandle<T>;
+  defineApi<const Defs extends Record<string, EndpointDefinition>>(definitions: Defs): Api<Defs>;
+  fromOpenApi(spec: object | string, options?: OpenApiOptions): Record<string, OpenApiEndpoint>;
+  cancelAll(): number;
+  dispose(): void;
+}
+
+/** How a cached response was transformed and validated */
+export interface ResponsePipeline {
+  transformResponse: ResponseTransform[];
+  validate: Validator | null | undefined;
+}
+
+export declare class ResponseCache {
+  constructor(reactive: <T extends object>(value: T) => T);
+  key(method: string, url: string, responseType?: ResponseType | null): string;
+  get(key: string): { response: HttpResponse; fresh: boolean; pipeline: ResponsePipeline | null } | null;
+  set(key: string, response: HttpResponse, ttl: number, pipeline?: ResponsePipeline | null): void;
+  invalidate(pattern: string | RegExp | ((key: string, entry: any) => boolean)): number;
+  clear(): void;
+}
+
+export declare class Paginator<T = any> {
+  constructor(http: ZogHttpClient | ScopedHttpClient, url: string, options?: PaginateOptions);
+  hasMore: boolean;
+  pageCount: number;
+  reset(): void;
+  fetchNext(options?: RequestOptions): Promise<Page<T> | null>;
+}
+
+export declare function fetchAdapter(request: AdapterRequest): Promise<AdapterResponse>;
+export declare function xhrAdapter(request: AdapterRequest): Promise<AdapterResponse>;
+export declare function harAdapter(har: Har | string, options?: ReplayOptions): Adapter;
+export declare function resizeImage(options?: ResizeImageOptions): (file: File | Blob) => Promise<File | Blob>;
+
+export interface HarNameValue {
+  name: string;
+  value: string;
+}
+
+/** One exchange in a HAR 1.2 log (fields this library reads and writes) */
+export interface HarEntry {
+  startedDateTime: string;
+  time: number;
+  request: {
+    method: string;
+    url: string;
+    httpVersion: string;
+    cookies: any[];
+    headers: HarNameValue[];
+    queryString: HarNameValue[];
+    postData?: {
+      mimeType: string;
+      text?: string;
+      params?: Array<{ name: string; value?: string; fileName?: string; contentType?: string }>;
+      comment?: string;
+      _encoding?: 'base64';
+    };
+    headersSize: number;
+    bodySize: number;
+  };
+  response: {
+    status: number;
+    statusText: string;
+    httpVersion: string;
+    cookies: any[];
+    headers: HarNameValue[];
+    content: { size: number; mimeType: string; text?: string; encoding?: 'base64'; comment?: string };
+    redirectURL: string;
+    headersSize: number;
+    bodySize: number;
+    /** Set for network failures (status 0) */
+    _error?: string;
+  };
+  cache: object;
+  timings: { send: number; wait: number; receive: number; [key: string]: number };
+}
+
+export interface Har {
+  log: {
+    version: string;
+    creator: { name: string; version: string };
+    entries: HarEntry[];
+    [key: string]: any;
+  };
+}
+
+export interface RecordingOptions {
+  /** Header names whose values are replaced with '[redacted]' (default: Authorization, Proxy-Authorization, Cookie, Set-Cookie) */
+  redactHeaders?: string[];
+  /** Pass false to leave request and response bodies out */
+  bodies?: boolean;
+}
+
+export interface ReplayOptions {
+  /** Also compare request bodies (default false: method and URL only) */
+  matchBody?: boolean;
+  /** Wait as long as the recorded request took (default false) */
+  timing?: boolean;
+  /** What to do with requests the HAR has no entry for (default 'throw') */
+  onUnhandled?: 'throw' | 'passthrough';
+}
+
+/** A request as recorded by MockAdapter */
+export interface MockRequest {
+  method: string;
+  /** Full URL with query string */
+  url: string;
+  /** URL without query string */
+  path: string;
+  params: Record<string, string | string[]>;
+  headers: Record<string, string>;
+  /** Parsed for JSON bodies, otherwise as sent */
+  body: any;
+  time: number;
+  /** Path of the route that answered */
+  route?: string | RegExp;
+}
+
+export interface MockMatchers {
+  params?: Record<string, any> | ((params: Record<string, string | string[]>) => boolean);
+  body?: any;
+  headers?: Record<string, string | ((value: string) => boolean)>;
+}
+
+export type MockReply =
+  | [status: number, data?: any, headers?: Record<string, string | number>]
+  | { status?: number; statusText?: string; data?: any; headers?: Record<string, string | number> };
+
+export type MockHandler = (
+  request: MockRequest & { pathParams: Record<string, string>; signal?: AbortSignal }
+) => MockReply | Promise<MockReply>;
+
+export interface MockRoute {
+  reply(status: number, data?: any, headers?: Record<string, string | number>): MockAdapter;
+  reply(handler: MockHandler): MockAdapter;
+  replyOnce(status: number, data?: any, headers?: Record<string, string | number>): MockAdapter;
+  replyOnce(handler: MockHandler): MockAdapter;
+  networkError(): MockAdapter;
+  timeout(): MockAdapter;
+  delay(ms: number): MockRoute;
+  progress(steps: number): MockRoute;
+}
+
+export interface MockAdapterOptions {
+  /** Base URL that relative route paths are joined to */
+  baseURL?: string;
+  /** Default delay for every route, in milliseconds */
+  delay?: number;
+  /** Default number of progress events (default 4) */
+  progressSteps?: number;
+  /** What to do with requests no route matches (default 'throw') */
+  onUnhandled?: 'throw' | 'passthrough';
+}
+
+export declare class MockAdapter {
+  constructor(options?: MockAdapterOptions);
+  /** Pass as the `adapter` option */
+  readonly adapter: Adapter;
+  history: MockRequest[];
+  on(method: string, path?: string | RegExp, matchers?: MockMatchers): MockRoute;
+  onGet(path?: string | RegExp, matchers?: MockMatchers): MockRoute;
+  onPost(path?: string | RegExp, matchers?: MockMatchers): MockRoute;
+  onPut(path?: string | RegExp, matchers?: MockMatchers): MockRoute;
+  onPatch(path?: string | RegExp, matchers?: MockMatchers): MockRoute;
+  onDelete(path?: string | RegExp, matchers?: MockMatchers): MockRoute;
+  onHead(path?: string | RegExp, matchers?: MockMatchers): MockRoute;
+  onAny(path?: string | RegExp, matchers?: MockMatchers): MockRoute;
+  calls(method?: string, path?: string | RegExp, matchers?: MockMatchers): MockRequest[];
+  resetHistory(): this;
+  reset(): this;
+}
+
+export declare function serializeParams(params: Record<string, any>, options?: ParamsSerializerOptions): string;
+
+/** Global client, available once ZogHttpPlugin is installed */
+export declare let $http: ZogHttpClient;
+
+export declare const ZogHttpPlugin: {
+  install(api: any, options?: HttpClientConfig): void;
+  getInstance(): ZogHttpClient | null;
+};
+
+export declare function createHttpClient(options?: HttpClientConfig): ZogHttpClient;
+export declare function createMockClient(
+  options?: HttpClientConfig,
+  mockOptions?: Omit<MockAdapterOptions, 'baseURL'>
+): ZogHttpClient & { mock: MockAdapter };
+
+export default ZogHttpPlugin;
@@ -4,16 +4,35 @@
  * 
  * Features:
  * - All HTTP methods (GET, POST, PUT, PATCH, DELETE, HEAD, OPTIONS)
- * - Request/Response interceptors (before/after hooks)
+ * - Request/Response interceptors (stable IDs, priority, runWhen, per-request skipping)
+ * - Pluggable transport adapters (fetch, xhr, custom) for requests, uploads and downloads
+ * - Koa-style middleware around the transport (use(async (ctx, next) => ...))
+ * - Mock adapter with route matchers and a request log for tests (createMockClient)
+ * - HAR 1.2 recording and offline replay of traffic (startRecording, replay)
  * - File upload with progress tracking
- * - Authentication token management
+ * - Chunked, resumable uploads (Content-Range or tus) with pause/resume
+ * - Upload queue with a concurrency limit, per-file trackers and reactive totals
+ * - File checks before upload (accept, maxSize, maxFiles, custom), image resizing and SHA-256 checksums
+ * - Authentication token management (with automatic refresh on 401)
  * - Custom headers support
- * - Automatic JSON parsing
- * - Request cancellation via AbortController
- * - Reactive loading/error states
- * - Timeout configuration
+ * - Pluggable request body serializers (JSON, URL-encoded, multipart, custom)
+ * - Automatic JSON parsing, or an explicit responseType (text, blob, arraybuffer, formData, stream, raw)
+ * - Request cancellation via AbortController (by ID, handle or group)
+ * - Reactive loading/error states (global and per scope)
+ * - Scope-bound requests, cancelled when the Zog scope is destroyed
+ * - Declarative requests with useRequest (reactive data/error/loading, refetch, mutate)
+ * - Pagination by page, offset, cursor or Link header (reactive and async iterator)
+ * - Polling with stop condition, backoff and pause while hidden/offline
+ * - Timeout configuration (per attempt and total)
  * - Base URL configuration
- * - Retry mechanism
+ * - Typed API definitions (defineApi) generating callable endpoint functions
+ * - OpenAPI 3 import (fromOpenApi), one method per operationId
+ * - URL path templates (/users/:id, /users/{id}) filled from pathParams
+ * - Query string serialization (nested objects, array formats, dates, custom encoder)
+ * - transformRequest/transformResponse pipelines and response validation (predicate or Standard Schema)
+ * - Retry mechanism (exponential backoff, jitter, Retry-After)
+ * - Response caching (TTL, stale-while-revalidate)
+ * - In-flight deduplication of identical GET/HEAD requests
  * 
  * @author Zog.js Community
  * @license MIT
@@ -24,15 +43,83 @@
  */
 const DEFAULT_CONFIG = {
   baseURL: '',
-  timeout: 30000,
+  timeout: 30000, // per attempt
+  totalTimeout: 0, // across all retries, 0 = no limit
   headers: {
     'Content-Type': 'application/json',
   },
   withCredentials: false,
   retries: 0,
   retryDelay: 1000,
+  retryPolicy: {}, // overrides retries/retryDelay, see DEFAULT_RETRY_POLICY
+  cache: false, // false | true | 'no-store' | 'force-cache' | 'stale-while-revalidate' | 'reload'
+  cacheTTL: 60000,
+  dedupe: true,
+  auth: null, // { getAccessToken, refreshToken, shouldRefresh, scheme }
+  responseType: null, // null (detect from Content-Type) | 'json' | 'text' | 'blob' | 'arraybuffer' | 'formData' | 'stream' | 'raw'
+  serializers: {}, // Content-Type -> (body, headers) => serialized body, merged over DEFAULT_SERIALIZERS
+  paramsSerializer: { arrayFormat: 'repeat' }, // options for serializeParams(), or (params) => query string
+  transformRequest: [], // (body, config) => body, run before per-request transforms
+  transformResponse: [], // (data, response) => data, run before per-request transforms
+  validate: null, // (data, response) => boolean, or a schema with ~standard.validate() or parse()
+  adapter: null, // 'fetch' | 'xhr' | (request) => Promise<response>; null = fetch, or xhr for uploads
 };
 
+/**
+ * Statuses whose responses never have a body
+ */
+const NULL_BODY_STATUSES = [204, 205, 304];
+
+/**
+ * Response types that hand out an unread body, which can't be cached or shared
+ */
+const UNREAD_RESPONSE_TYPES = ['stream', 'raw'];
+
+/**
+ * Default retry policy (retries and delay fall back to `retries` and `retryDelay`)
+ */
+const DEFAULT_RETRY_POLICY = {
+  factor: 2, // exponential backoff multiplier
+  maxDelay: 30000,
+  jitter: 0.5, // randomly shave up to 50% off each delay
+  retryOn: {
+    statuses: [408, 429, 500, 502, 503, 504],
+    methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'], // idempotent methods only
+  },
+  respectRetryAfter: true,
+  onRetry: null,
+};
+
+/**
+ * Default chunk size for chunked uploads (5 MB)
+ */
+const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024;
+
+/**
+ * tus protocol version sent with chunked uploads (https://tus.io/protocols/resumable-upload)
+ */
+const TUS_VERSION = '1.0.0';
+
+/**
+ * Header carrying the SHA-256 checksum of uploaded files (upload option `checksum: true`)
+ */
+const DEFAULT_CHECKSUM_HEADER = 'X-Checksum-SHA256';
+
+/**
+ * Methods whose responses may be stored in the response cache
+ */
+const CACHEABLE_METHODS = ['GET', 'HEAD'];
+
+/**
+ * Methods whose identical concurrent requests share one fetch
+ */
+const DEDUPABLE_METHODS = ['GET', 'HEAD'];
+
+/**
+ * Headers that don't affect the response of a GET/HEAD request
+ */
+const DEDUPE_IGNORED_HEADERS = ['content-type'];
+
 /**
  * HTTP Status codes enum for easy reference
  */
@@ -50,20 +137,690 @@ export const HttpStatus = {
   SERVICE_UNAVAILABLE: 503,
 };
 
+/**
+ * Error codes for failures that have no HTTP status of their own
+ */
+export const HttpErrorCode = {
+  TIMEOUT: 'ETIMEDOUT',
+  CANCELED: 'ECANCELED',
+  NETWORK: 'ENETWORK',
+  MISSING_PATH_PARAM: 'EPATHPARAM',
+  VALIDATION: 'EVALIDATION',
+};
+
 /**
  * Custom HTTP Error class with detailed information
  */
 export class HttpError extends Error {
-  constructor(message, status, response, request) {
+  constructor(message, status, response, request, code = null) {
     super(message);
     this.name = 'HttpError';
     this.status = status;
     this.response = response;
     this.request = request;
+    this.code = code;
     this.isHttpError = true;
   }
 }
 
+/**
+ * Thrown when a response (or a defineApi request body) fails validation
+ */
+export class HttpValidationError extends HttpError {
+  constructor(message, issues, response, request) {
+    super(message, response?.status ?? 0, response, request, HttpErrorCode.VALIDATION);
+    this.name = 'HttpValidationError';
+    this.issues = issues;
+  }
+}
+
+/**
+ * Normalize a transform option (function, array, null) into a list of functions
+ * @param {Function|Function[]} transforms - Transform option
+ * @returns {Function[]} - Transforms to run in order
+ */
+function toPipeline(transforms) {
+  return [].concat(transforms ?? []).filter(transform => typeof transform === 'function');
+}
+
+/**
+ * Check whether two requests transform and validate responses the same way,
+ * so one may be given the other's response (cache hits, shared in-flight requests)
+ * @param {Object} a - Request config ({ transformResponse, validate })
+ * @param {Object} b - Request config ({ transformResponse, validate })
+ * @returns {boolean}
+ */
+function sameResponsePipeline(a, b) {
+  return a.validate === b.validate
+    && a.transformResponse.length === b.transformResponse.length
+    && a.transformResponse.every((transform, index) => transform === b.transformResponse[index]);
+}
+
+/**
+ * Validate a value with a predicate, a Standard Schema (`~standard.validate`) or a schema with parse()
+ * @param {Function|Object} validator - Validator
+ * @param {any} value - Value to check
+ * @param {...any} args - Extra predicate arguments (e.g. the response)
+ * @returns {Promise<Object>} - { value } with the (possibly parsed) value, or { issues }
+ */
+async function runValidator(validator, value, ...args) {
+  if (typeof validator === 'function') {
+    return await validator(value, ...args) ? { value } : { issues: [{ message: 'Validation failed' }] };
+  }
+
+  if (validator && validator['~standard']) {
+    const result = await validator['~standard'].validate(value);
+    return result.issues ? { issues: [...result.issues] } : { value: result.value };
+  }
+
+  if (validator && typeof validator.parse === 'function') {
+    try {
+      return { value: await validator.parse(value) };
+    } catch (error) {
+      return { issues: error.issues || [{ message: error.message }] };
+    }
+  }
+
+  // Anything else (e.g. a defineApi type marker) accepts every value
+  return { value };
+}
+
+/**
+ * Parse a Retry-After header value
+ * @param {string} value - Delay in seconds or an HTTP date
+ * @returns {number|null} - Delay in milliseconds, or null if absent/invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Extract the media type from a Content-Type header
+ * @param {string|null} contentType - Content-Type header value
+ * @returns {string} - Lowercase media type without parameters ('' if absent)
+ */
+function getMediaType(contentType) {
+  return contentType ? contentType.split(';')[0].trim().toLowerCase() : '';
+}
+
+/**
+ * Pick how to read a response body from its media type
+ * @param {string} mediaType - Media type from getMediaType()
+ * @returns {string|null} - 'json', 'text', 'blob', or null when unknown
+ */
+function detectResponseType(mediaType) {
+  if (!mediaType) return null;
+  
+  const [type, subtype = ''] = mediaType.split('/');
+  if (subtype === 'json' || subtype.endsWith('+json')) return 'json';
+  if (
+    type === 'text'
+    || subtype === 'xml'
+    || subtype.endsWith('+xml')
+    || subtype === 'javascript'
+    || subtype === 'x-www-form-urlencoded'
+  ) {
+    return 'text';
+  }
+  if (
+    ['image', 'audio', 'video', 'font'].includes(type)
+    || ['octet-stream', 'pdf', 'zip', 'gzip'].includes(subtype)
+  ) {
+    return 'blob';
+  }
+  return null;
+}
+
+/**
+ * Find the actual key of a header, case-insensitively
+ * @param {Object} headers - Headers object
+ * @param {string} name - Header name
+ * @returns {string|undefined} - Key as present in headers
+ */
+function findHeaderKey(headers, name) {
+  const lower = name.toLowerCase();
+  return Object.keys(headers).find(key => key.toLowerCase() === lower);
+}
+
+/**
+ * Check whether a body can be handed to fetch/XHR as it is
+ * @param {any} body - Request body
+ * @returns {boolean}
+ */
+function isNativeBody(body) {
+  return (typeof FormData !== 'undefined' && body instanceof FormData)
+    || (typeof URLSearchParams !== 'undefined' && body instanceof URLSearchParams)
+    || (typeof Blob !== 'undefined' && body instanceof Blob)
+    || (typeof ArrayBuffer !== 'undefined' && (body instanceof ArrayBuffer || ArrayBuffer.isView(body)))
+    || (typeof ReadableStream !== 'undefined' && body instanceof ReadableStream);
+}
+
+/**
+ * Flatten nested objects and arrays into bracket-notation entries ('user[address][city]', 'tags[0]')
+ * @param {any} value - Value to flatten
+ * @param {string} prefix - Key of the value
+ * @param {Array} entries - Collected [key, value] pairs
+ * @returns {Array} - [key, value] pairs with primitive, Date or Blob values
+ */
+function flattenEntries(value, prefix = '', entries = []) {
+  if (value === undefined || value === null) return entries;
+  
+  if (value instanceof Date || (typeof Blob !== 'undefined' && value instanceof Blob)) {
+    entries.push([prefix, value]);
+  } else if (Array.isArray(value)) {
+    value.forEach((item, index) => flattenEntries(item, `${prefix}[${index}]`, entries));
+  } else if (typeof value === 'object') {
+    for (const [key, item] of Object.entries(value)) {
+      flattenEntries(item, prefix ? `${prefix}[${key}]` : key, entries);
+    }
+  } else {
+    entries.push([prefix, value]);
+  }
+  return entries;
+}
+
+/**
+ * Built-in request body serializers, keyed by Content-Type media type
+ */
+const DEFAULT_SERIALIZERS = {
+  'application/json': (body) => JSON.stringify(body),
+
+  'application/x-www-form-urlencoded': (body) => {
+    const params = new URLSearchParams();
+    for (const [key, value] of flattenEntries(body)) {
+      params.append(key, value instanceof Date ? value.toISOString() : value);
+    }
+    return params;
+  },
+  
+  'multipart/form-data': (body) => {
+    const formData = new FormData();
+    for (const [key, value] of flattenEntries(body)) {
+      if (value instanceof Blob) {
+        formData.append(key, value);
+      } else {
+        formData.append(key, value instanceof Date ? value.toISOString() : String(value));
+      }
+    }
+    return formData;
+  },
+};
+
+/**
+ * Serialize query parameters
+ * @param {Object} params - Query parameters (nested objects and arrays allowed)
+ * @param {Object} options - Serializer options
+ * @param {string} [options.arrayFormat='repeat'] - 'repeat' (a=1&a=2), 'brackets' (a[]=1&a[]=2),
+ *   'indices' (a[0]=1&a[1]=2) or 'comma' (a=1,2)
+ * @param {Function} [options.encode=encodeURIComponent] - Encoder for keys and values
+ * @param {Function} [options.serializeDate] - Date formatter, defaults to toISOString()
+ * @returns {string} - Query string without leading '?'
+ */
+function serializeParams(params, options = {}) {
+  const {
+    arrayFormat = 'repeat',
+    encode = encodeURIComponent,
+    serializeDate = (date) => date.toISOString(),
+  } = options;
+  const parts = [];
+  
+  const format = (value) => (value instanceof Date ? serializeDate(value) : String(value));
+  
+  const walk = (value, key) => {
+    if (value === undefined || value === null) return;
+    
+    if (value instanceof Date) {
+      parts.push(`${encode(key)}=${encode(format(value))}`);
+    } else if (Array.isArray(value)) {
+      if (arrayFormat === 'comma' && value.every(item => item === null || typeof item !== 'object' || item instanceof Date)) {
+        const items = value.filter(item => item !== undefined && item !== null);
+        parts.push(`${encode(key)}=${items.map(item => encode(format(item))).join(',')}`);
+        return;
+      }
+      value.forEach((item, index) => {
+        if (arrayFormat === 'brackets') {
+          walk(item, `${key}[]`);
+        } else if (arrayFormat === 'indices' || arrayFormat === 'comma' || (item !== null && typeof item === 'object')) {
+          // Nested objects inside arrays need indices to stay unambiguous
+          walk(item, `${key}[${index}]`);
+        } else {
+          walk(item, key);
+        }
+      });
+    } else if (typeof value === 'object') {
+      for (const [childKey, childValue] of Object.entries(value)) {
+        walk(childValue, `${key}[${childKey}]`);
+      }
+    } else {
+      parts.push(`${encode(key)}=${encode(format(value))}`);
+    }
+  };
+  
+  for (const [key, value] of Object.entries(params || {})) {
+    walk(value, key);
+  }
+  return parts.join('&');
+}
+
+/**
+ * Check whether a URL is absolute (has a scheme, or is protocol-relative)
+ * @param {string} url - URL to check
+ * @returns {boolean}
+ */
+function isAbsoluteURL(url) {
+  return /^([a-z][a-z\d+\-.]*:)?\/\//i.test(url);
+}
+
+/**
+ * Join a base URL and a path with exactly one slash between them
+ * @param {string} baseURL - Base URL
+ * @param {string} url - Relative path
+ * @returns {string} - Joined URL
+ */
+function joinURL(baseURL, url) {
+  if (!baseURL) return url;
+  if (!url) return baseURL;
+  
+  const joined = `${baseURL.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`;
+  // Normalize absolute URLs (e.g. encode spaces); relative base URLs stay as they are
+  return isAbsoluteURL(joined) && !joined.startsWith('//') ? new URL(joined).href : joined;
+}
+
+/**
+ * Resolve a Location header against the URL of the request it answered
+ * @param {string} location - Location header value
+ * @param {string} requestURL - URL of the request
+ * @returns {string} - Absolute URL when it can be determined, otherwise the location as is
+ */
+function resolveLocation(location, requestURL) {
+  if (isAbsoluteURL(location)) return location;
+  
+  const base = isAbsoluteURL(requestURL) ? requestURL : globalThis.location?.href;
+  return base ? new URL(location, new URL(requestURL, base)).href : location;
+}
+
+/**
+ * Fill a URL path template ('/users/:id/posts/{postId}') from pathParams.
+ * Only the path is touched, so ports, credentials and query strings are left alone.
+ * @param {string} template - URL template
+ * @param {Object} pathParams - Placeholder values, encoded with encodeURIComponent
+ * @returns {string} - URL with placeholders replaced
+ * @throws {HttpError} - If a placeholder has no value
+ */
+function resolvePath(template, pathParams = {}) {
+  if (!template) return template;
+  
+  const [, origin = '', path, rest = ''] = template.match(/^((?:[a-z][a-z\d+\-.]*:)?\/\/[^/?#]*)?([^?#]*)(.*)$/i);
+  const filled = path.replace(/:([A-Za-z_]\w*)|\{([A-Za-z_]\w*)\}/g, (match, colonName, braceName) => {
+    const name = colonName || braceName;
+    const value = pathParams?.[name];
+    if (value === undefined || value === null) {
+      throw new HttpError(
+        `Missing path parameter "${name}" for ${template}`,
+        0,
+        null,
+        { url: template, pathParams },
+        HttpErrorCode.MISSING_PATH_PARAM
+      );
+    }
+    return encodeURIComponent(String(value));
+  });
+  
+  return origin + filled + rest;
+}
+
+/**
+ * Read a value from an object by dot path ('meta.next_cursor')
+ * @param {Object} obj - Source object
+ * @param {string} path - Dot-separated path
+ * @returns {any} - Value, or undefined
+ */
+function getPath(obj, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+/**
+ * Parse an RFC 5988 Link header
+ * @param {string} header - Link header value
+ * @returns {Object} - Map of rel -> URL
+ */
+function parseLinkHeader(header) {
+  const links = {};
+  if (!header) return links;
+  
+  for (const part of header.split(/,\s*(?=<)/)) {
+    const match = part.match(/<([^>]*)>\s*;(.*)/);
+    if (!match) continue;
+    
+    const rel = match[2].match(/rel\s*=\s*"?([^";]+)"?/i);
+    if (rel) {
+      for (const name of rel[1].trim().split(/\s+/)) {
+        links[name.toLowerCase()] = match[1];
+      }
+    }
+  }
+  return links;
+}
+
+/**
+ * Built-in pagination strategies.
+ * Each returns the params for the first page, and the next request ({ url, params }, optionally baseURL) or null when done.
+ */
+const PAGINATION_STRATEGIES = {
+  page: {
+    first: (opts) => ({
+      [opts.pageParam]: opts.startPage,
+      ...(opts.pageSize ? { [opts.sizeParam]: opts.pageSize } : {}),
+    }),
+    next: (response, current, items, opts) => {
+      const full = opts.pageSize ? items.length >= opts.pageSize : items.length > 0;
+      return full
+        ? { url: current.url, params: { ...current.params, [opts.pageParam]: current.params[opts.pageParam] + 1 } }
+        : null;
+    },
+  },
+  offset: {
+    first: (opts) => ({ [opts.offsetParam]: 0, [opts.limitParam]: opts.pageSize }),
+    next: (response, current, items, opts) => (items.length >= opts.pageSize
+      ? { url: current.url, params: { ...current.params, [opts.offsetParam]: current.params[opts.offsetParam] + items.length } }
+      : null),
+  },
+  cursor: {
+    first: () => ({}),
+    next: (response, current, items, opts) => {
+      const cursor = getPath(response.data, opts.cursorPath);
+      return cursor == null || cursor === ''
+        ? null
+        : { url: current.url, params: { ...current.params, [opts.cursorParam]: cursor } };
+    },
+  },
+  link: {
+    first: () => ({}),
+    next: (response) => {
+      const next = parseLinkHeader(response.headers.link).next;
+      if (!next) return null;
+      
+      // The next URL carries its query string and is resolved against the request URL, which already
+      // includes the base URL; without an absolute URL to resolve against, it is sent as given
+      return { url: resolveLocation(next, response.request.url), params: {}, baseURL: '' };
+    },
+  },
+};
+
+/**
+ * Walks a paginated endpoint one page at a time
+ */
+class Paginator {
+  constructor(http, url, options = {}) {
+    const {
+      strategy = 'page',
+      pageParam = 'page',
+      sizeParam = 'limit',
+      startPage = 1,
+      offsetParam = 'offset',
+      limitParam = 'limit',
+      pageSize = strategy === 'offset' ? 20 : null,
+      cursorParam = 'cursor',
+      cursorPath = 'nextCursor',
+      itemsPath = null,
+      getItems = null,
+      maxPages = Infinity,
+      params = {},
+      ...requestOptions
+    } = options;
+    
+    this.http = http;
+    this.url = url;
+    this.params = params;
+    this.requestOptions = requestOptions;
+    this.maxPages = maxPages;
+    this.settings = { pageParam, sizeParam, startPage, offsetParam, limitParam, pageSize, cursorParam, cursorPath };
+    this.getItems = getItems || ((response) => {
+      const data = response.data;
+      const items = itemsPath
+        ? getPath(data, itemsPath)
+        : (Array.isArray(data) ? data : data?.items ?? data?.data ?? data?.results);
+      return Array.isArray(items) ? items : [];
+    });
+    
+    if (typeof strategy === 'function') {
+      this.strategy = { first: () => ({}), next: strategy };
+    } else if (PAGINATION_STRATEGIES[strategy]) {
+      this.strategy = PAGINATION_STRATEGIES[strategy];
+    } else {
+      throw new Error(`[ZogHttp] Unknown pagination strategy "${strategy}"`);
+    }
+    
+    this.reset();
+  }
+
+  /**
+   * Whether another page can be fetched
+   * @returns {boolean}
+   */
+  get hasMore() {
+    return this.nextRequest !== null && this.pageCount < this.maxPages;
+  }
+
+  /**
+   * Start over from the first page
+   */
+  reset() {
+    const params = typeof this.params === 'function' ? this.params() : this.params;
+    this.pageCount = 0;
+    this.nextRequest = {
+      url: this.url,
+      params: { ...params, ...this.strategy.first(this.settings) },
+    };
+  }
+
+  /**
+   * Fetch the next page
+   * @param {Object} options - Extra request options (e.g. signal)
+   * @returns {Promise<Object|null>} - { items, response, index }, or null when there are no more pages
+   */
+  async fetchNext(options = {}) {
+    if (!this.hasMore) return null;
+    
+    const current = this.nextRequest;
+    const response = await this.http.request({
+      method: 'GET',
+      ...this.requestOptions,
+      ...options,
+      ...(current.baseURL !== undefined ? { baseURL: current.baseURL } : {}),
+      url: current.url,
+      params: current.params,
+    });
+    
+    // Ignore results of a page fetched before reset()
+    if (current !== this.nextRequest) return null;
+    
+    const items = this.getItems(response);
+    const index = this.pageCount++;
+    this.nextRequest = this.strategy.next(response, current, items, this.settings) || null;
+    
+    return { items, response, index };
+  }
+}
+
+/**
+ * Check a file against an accept list, as in <input accept>: MIME types, wildcards ('image/*') and extensions ('.pdf')
+ * @param {File|Blob} file - File to check
+ * @param {string|string[]} accept - Accepted types, as an array or a comma-separated string
+ * @returns {boolean}
+ */
+function matchesAccept(file, accept) {
+  const patterns = [].concat(accept)
+    .flatMap(value => String(value).split(','))
+    .map(value => value.trim().toLowerCase())
+    .filter(Boolean);
+  if (!patterns.length) return true;
+  
+  const type = getMediaType(file.type);
+  const name = (file.name || '').toLowerCase();
+  return patterns.some((pattern) => {
+    if (pattern.startsWith('.')) return name.endsWith(pattern);
+    if (pattern.endsWith('/*')) return type.startsWith(pattern.slice(0, -1));
+    return type === pattern;
+  });
+}
+
+/**
+ * Check upload files against the accept, maxSize, maxFiles and validateFile options
+ * @param {Array<File|Blob>} files - Files to check
+ * @param {Object} options - { accept, maxSize, maxFiles, validateFile }
+ * @returns {Promise<Object[]>} - Issues ({ message, path, reason, file }), empty when every file passes
+ */
+async function validateFiles(files, { accept, maxSize, maxFiles, validateFile } = {}) {
+  const issues = [];
+  if (maxFiles != null && files.length > maxFiles) {
+    issues.push({ message: `Too many files (${files.length}, at most ${maxFiles})`, path: [], reason: 'count' });
+  }
+
+  for (const [index, file] of files.entries()) {
+    const label = file.name || `File ${index + 1}`;
+    const before = issues.length;
+    
+    if (accept && !matchesAccept(file, accept)) {
+      issues.push({ message: `${label}: type '${file.type || 'unknown'}' is not accepted`, path: [index], reason: 'type', file });
+    }
+    if (maxSize != null && file.size > maxSize) {
+      issues.push({ message: `${label}: ${file.size} bytes is over the ${maxSize} byte limit`, path: [index], reason: 'size', file });
+    }
+    
+    // The custom validator only sees files that passed the checks above
+    if (validateFile && issues.length === before) {
+      const result = await runValidator(validateFile, file, index);
+      for (const issue of result.issues ?? []) {
+        issues.push({ ...issue, message: `${label}: ${issue.message}`, path: [index, ...(issue.path ?? [])], reason: 'custom', file });
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * SHA-256 digest of a file
+ * @param {Blob} blob - File to hash (read into memory at once)
+ * @returns {Promise<string>} - Lowercase hex digest
+ */
+async function sha256Hex(blob) {
+  if (!globalThis.crypto?.subtle) {
+    throw new Error('[ZogHttp] Checksums need SubtleCrypto, which browsers only offer on HTTPS and localhost');
+  }
+
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Validate, preprocess and checksum the files of an upload before anything is sent
+ * @param {File|Blob|File[]|FormData} files - Files as given to upload()
+ * @param {Object} options - { accept, maxSize, maxFiles, validateFile, preprocess, checksum }
+ * @param {Object} request - { url, method }, for the validation error
+ * @returns {Promise<Object>} - { files (in the shape given), checksums (hex, one per file) }
+ */
+async function prepareUploadFiles(files, options, request) {
+  const { accept, maxSize, maxFiles, validateFile, preprocess, checksum } = options;
+  const isForm = typeof FormData !== 'undefined' && files instanceof FormData;
+  const list = isForm ? [...files.values()].filter(value => value instanceof Blob) : [].concat(files);
+  
+  const issues = await validateFiles(list, { accept, maxSize, maxFiles, validateFile });
+  if (issues.length) {
+    throw new HttpValidationError('File validation failed', issues, null, request);
+  }
+
+  const steps = toPipeline(preprocess);
+  let prepared = list;
+  if (steps.length) {
+    prepared = [];
+    for (const [index, file] of list.entries()) {
+      let result = file;
+      for (const step of steps) {
+        result = (await step(result, index)) ?? result;
+      }
+      // Keep the name when a step returns a plain Blob
+      if (file instanceof File && !(result instanceof File)) {
+        result = new File([result], file.name, { type: result.type, lastModified: file.lastModified });
+      }
+      prepared.push(result);
+    }
+  }
+
+  const checksums = checksum ? await Promise.all(prepared.map(sha256Hex)) : [];
+  
+  if (isForm) {
+    if (!steps.length) return { files, checksums };
+    
+    // Same entries, with the preprocessed files in place of the originals
+    const form = new FormData();
+    let index = 0;
+    for (const [key, value] of files.entries()) {
+      form.append(key, value instanceof Blob ? prepared[index++] : value);
+    }
+    return { files: form, checksums };
+  }
+
+  return { files: Array.isArray(files) ? prepared : prepared[0], checksums };
+}
+
+/**
+ * Build an upload `preprocess` step that scales images down to fit within maxWidth x maxHeight and re-encodes them
+ * with OffscreenCanvas. Other files, SVGs, GIFs, and images the browser can't decode pass through unchanged.
+ * @param {Object} options - { maxWidth, maxHeight, quality (0-1, default 0.9), type (output MIME type, default the file's) }
+ * @returns {Function} - async (file) => File
+ */
+function resizeImage(options = {}) {
+  const { maxWidth = Infinity, maxHeight = Infinity, quality = 0.9, type = null } = options;
+  
+  return async (file) => {
+    const inputType = getMediaType(file.type);
+    if (!inputType.startsWith('image/') || ['image/svg+xml', 'image/gif'].includes(inputType)) return file;
+    if (typeof createImageBitmap !== 'function' || typeof OffscreenCanvas === 'undefined') return file;
+    
+    let bitmap;
+    try {
+      bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+    } catch {
+      return file;
+    }
+    
+    try {
+      const scale = Math.min(1, maxWidth / bitmap.width, maxHeight / bitmap.height);
+      const outputType = type || inputType;
+      if (scale === 1 && outputType === inputType && options.quality === undefined) return file;
+      
+      const width = Math.max(1, Math.round(bitmap.width * scale));
+      const height = Math.max(1, Math.round(bitmap.height * scale));
+      const canvas = new OffscreenCanvas(width, height);
+      canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+      const blob = await canvas.convertToBlob({ type: outputType, quality });
+      
+      // Re-encoding at the same size can grow the file
+      if (scale === 1 && blob.size >= file.size) return file;
+      
+      // The browser falls back to PNG for types it can't encode
+      let name = file.name || 'image';
+      if (blob.type !== inputType) {
+        const extension = blob.type === 'image/jpeg' ? 'jpg' : blob.type.split('/')[1];
+        name = `${name.replace(/\.[^./]*$/, '')}.${extension}`;
+      }
+      return new File([blob], name, { type: blob.type, lastModified: file.lastModified });
+    } finally {
+      bitmap.close();
+    }
+  };
+}
+
 /**
  * Upload progress tracker class
  */
@@ -73,7 +830,7 @@ class UploadTracker {
       progress: 0,
       loaded: 0,
       total: 0,
-      status: 'idle', // idle, uploading, completed, error
+      status: 'idle', // idle, uploading, paused, completed, error
       error: null,
       startTime: null,
       speed: 0, // bytes per second
@@ -117,7 +874,21 @@ class UploadTracker {
   }
 
   /**
-   * Mark upload as completed
+   * Mark upload as paused
+   */
+  pause() {
+    this.state.status = 'paused';
+  }
+
+  /**
+   * Mark a paused upload as uploading again
+   */
+  resume() {
+    this.state.status = 'uploading';
+  }
+
+  /**
+   * Mark upload as completed
    */
   complete() {
     this.state.progress = 100;
@@ -148,319 +919,1368 @@ class UploadTracker {
   }
 }
 
+let queueItemCounter = 0;
+
 /**
- * Main HTTP Client class
+ * Uploads files one request each, a few at a time, with per-file trackers and reactive totals
  */
-class ZogHttpClient {
-  constructor(config, reactive, ref) {
-    this.config = { ...DEFAULT_CONFIG, ...config };
-    this.reactive = reactive;
-    this.ref = ref;
+class UploadQueue {
+  /**
+   * @param {ZogHttpClient|ScopedHttpClient} http - Client used to upload
+   * @param {string} url - Upload endpoint URL
+   * @param {File[]|FileList} files - Files to upload
+   * @param {Object} options - { concurrency, fieldName, additionalData, autoStart, onFileComplete, onFileError, onComplete }
+   *   plus upload() options, passed to every file
+   */
+  constructor(http, url, files = [], options = {}) {
+    const {
+      concurrency = 3,
+      autoStart = true,
+      onFileComplete,
+      onFileError,
+      onComplete,
+      ...uploadOptions
+    } = options;
     
-    // Interceptors storage
-    this.interceptors = {
-      request: [],
-      response: [],
-    };
+    this.http = http;
+    this.url = url;
+    this.concurrency = Math.max(1, concurrency);
+    this.uploadOptions = uploadOptions;
+    this.callbacks = { onFileComplete, onFileError, onComplete };
+    this.handles = new Map();
+    this.waiters = [];
+    this.started = autoStart;
+    this.paused = false;
+    this.running = false;
     
-    // Global reactive state
-    this.state = reactive({
-      loading: false,
-      error: null,
-      lastRequest: null,
-      pendingRequests: 0,
+    this.state = http.reactive({
+      items: [],
+      status: 'idle', // idle, uploading, paused, completed, error
+      total: 0,
+      queued: 0,
+      uploading: 0,
+      completed: 0,
+      failed: 0,
+      cancelled: 0,
+      loaded: 0,
+      totalBytes: 0,
+      progress: 0,
+      speed: 0, // bytes per second
+      remainingTime: 0, // seconds
+      startTime: null,
     });
     
-    // Active abort controllers for request cancellation
-    this.abortControllers = new Map();
-  }
-
-  /**
-   * Set the base URL for all requests
-   * @param {string} url - The base URL
-   * @returns {ZogHttpClient} - Returns this for chaining
-   */
-  setBaseURL(url) {
-    this.config.baseURL = url;
-    return this;
+    this.add(files);
   }
 
   /**
-   * Set a default header for all requests
-   * @param {string} key - Header name
-   * @param {string} value - Header value
-   * @returns {ZogHttpClient} - Returns this for chaining
+   * Queue more files
+   * @param {File|File[]|FileList} files - Files to add
+   * @returns {Object[]} - The new items ({ id, file, name, size, status, tracker, response, error })
    */
-  setHeader(key, value) {
-    this.config.headers[key] = value;
-    return this;
+  add(files) {
+    const added = Array.from(files instanceof Blob ? [files] : files, (file) => ({
+      id: `file_${++queueItemCounter}`,
+      file,
+      name: file.name || '',
+      size: file.size,
+      status: 'queued', // queued, uploading, paused, completed, failed, cancelled
+      tracker: new UploadTracker(this.http.reactive).state,
+      response: null,
+      error: null,
+    }));
+    
+    this.state.items.push(...added);
+    this.refresh();
+    if (this.started) this.pump();
+    return added;
   }
 
   /**
-   * Set multiple headers at once
-   * @param {Object} headers - Headers object
-   * @returns {ZogHttpClient} - Returns this for chaining
+   * Start uploading (only needed with autoStart: false)
+   * @returns {UploadQueue} - This queue
    */
-  setHeaders(headers) {
-    this.config.headers = { ...this.config.headers, ...headers };
+  start() {
+    this.started = true;
+    this.pump();
     return this;
   }
 
   /**
-   * Remove a default header
-   * @param {string} key - Header name to remove
-   * @returns {ZogHttpClient} - Returns this for chaining
+   * Stop starting new uploads. Uploads in flight finish, except chunked ones, which pause too.
+   * @returns {UploadQueue} - This queue
    */
-  removeHeader(key) {
-    delete this.config.headers[key];
+  pause() {
+    this.paused = true;
+    for (const [id, handle] of this.handles) {
+      if (handle.pause) {
+        handle.pause();
+        this.find(id).status = 'paused';
+      }
+    }
+    this.refresh();
     return this;
   }
 
   /**
-   * Set the authentication token (Bearer token)
-   * @param {string} token - The authentication token
-   * @returns {ZogHttpClient} - Returns this for chaining
+   * Continue after pause()
+   * @returns {UploadQueue} - This queue
    */
-  setAuthToken(token) {
-    if (token) {
-      this.config.headers['Authorization'] = `Bearer ${token}`;
-    } else {
-      delete this.config.headers['Authorization'];
+  resume() {
+    this.paused = false;
+    for (const [id, handle] of this.handles) {
+      if (handle.resume) {
+        handle.resume();
+        this.find(id).status = 'uploading';
+      }
     }
+    this.refresh();
+    this.pump();
     return this;
   }
 
   /**
-   * Set Basic authentication
-   * @param {string} username - Username
-   * @param {string} password - Password
-   * @returns {ZogHttpClient} - Returns this for chaining
+   * Queue failed files again
+   * @returns {number} - Number of files queued
    */
-  setBasicAuth(username, password) {
-    const encoded = btoa(`${username}:${password}`);
-    this.config.headers['Authorization'] = `Basic ${encoded}`;
-    return this;
+  retryFailed() {
+    const failed = this.state.items.filter(item => item.status === 'failed');
+    for (const item of failed) {
+      item.status = 'queued';
+      item.error = null;
+      item.tracker.status = 'idle';
+      item.tracker.error = null;
+    }
+    
+    this.refresh();
+    if (this.started) this.pump();
+    return failed.length;
   }
 
   /**
-   * Clear authentication
-   * @returns {ZogHttpClient} - Returns this for chaining
+   * Cancel one file, queued or uploading
+   * @param {string} fileId - Item ID
+   * @returns {boolean} - Whether the file was cancelled
    */
-  clearAuth() {
-    delete this.config.headers['Authorization'];
-    return this;
+  cancel(fileId) {
+    const item = this.find(fileId);
+    if (!item || !['queued', 'uploading', 'paused'].includes(item.status)) return false;
+    
+    const handle = this.handles.get(fileId);
+    item.status = 'cancelled';
+    if (handle) {
+      handle.abort();
+    } else {
+      item.tracker.status = 'error';
+      item.tracker.error = 'Upload cancelled';
+    }
+    this.refresh();
+    this.pump();
+    return true;
   }
 
   /**
-   * Set request timeout
-   * @param {number} ms - Timeout in milliseconds
-   * @returns {ZogHttpClient} - Returns this for chaining
+   * Cancel every file that hasn't finished
+   * @returns {number} - Number of files cancelled
    */
-  setTimeout(ms) {
-    this.config.timeout = ms;
-    return this;
+  cancelAll() {
+    let count = 0;
+    for (const item of [...this.state.items]) {
+      if (this.cancel(item.id)) count++;
+    }
+    return count;
   }
 
   /**
-   * Add a request interceptor
-   * @param {Function} fulfilled - Function to run before request
-   * @param {Function} rejected - Function to run on request error
-   * @returns {number} - Interceptor ID for removal
+   * Wait until no file is queued or uploading
+   * @returns {Promise<Object>} - { completed, failed, cancelled } item lists
    */
-  addRequestInterceptor(fulfilled, rejected) {
-    const id = this.interceptors.request.length;
-    this.interceptors.request.push({ fulfilled, rejected, id });
-    return id;
+  done() {
+    return new Promise((resolve) => {
+      this.waiters.push(resolve);
+      this.refresh();
+    });
   }
 
   /**
-   * Add a response interceptor
-   * @param {Function} fulfilled - Function to run on successful response
-   * @param {Function} rejected - Function to run on response error
-   * @returns {number} - Interceptor ID for removal
+   * Find an item by ID
+   * @param {string} fileId - Item ID
+   * @returns {Object|undefined} - Item
    */
-  addResponseInterceptor(fulfilled, rejected) {
-    const id = this.interceptors.response.length;
-    this.interceptors.response.push({ fulfilled, rejected, id });
-    return id;
+  find(fileId) {
+    return this.state.items.find(item => item.id === fileId);
   }
 
   /**
-   * Remove a request interceptor by ID
-   * @param {number} id - Interceptor ID
+   * Start queued files while there is room
    */
-  removeRequestInterceptor(id) {
-    const index = this.interceptors.request.findIndex(i => i.id === id);
-    if (index !== -1) {
-      this.interceptors.request.splice(index, 1);
+  pump() {
+    // A destroyed scope cancels the files it hasn't started
+    if (this.http.disposed) {
+      for (const item of this.state.items) {
+        if (item.status !== 'queued') continue;
+        item.status = 'cancelled';
+        item.tracker.status = 'error';
+        item.tracker.error = 'Upload cancelled';
+      }
+      this.refresh();
+      return;
+    }
+    
+    if (this.paused || !this.started) return;
+    
+    for (const item of this.state.items) {
+      if (this.handles.size >= this.concurrency) break;
+      if (item.status === 'queued') {
+        this.startItem(item);
+      }
     }
+    this.refresh();
   }
 
   /**
-   * Remove a response interceptor by ID
-   * @param {number} id - Interceptor ID
+   * Upload one file
+   * @param {Object} item - Queue item
    */
-  removeResponseInterceptor(id) {
-    const index = this.interceptors.response.findIndex(i => i.id === id);
-    if (index !== -1) {
-      this.interceptors.response.splice(index, 1);
+  startItem(item) {
+    const { onProgress, ...options } = this.uploadOptions;
+    const tracker = item.tracker;
+    item.status = 'uploading';
+    if (this.state.startTime === null) {
+      this.state.startTime = Date.now();
     }
+    
+    // Mirror the upload's progress in the item's tracker
+    tracker.status = 'uploading';
+    tracker.error = null;
+    tracker.loaded = 0;
+    tracker.total = item.size;
+    tracker.progress = 0;
+    tracker.startTime = Date.now();
+    
+    const handle = this.http.upload(this.url, item.file, {
+      ...options,
+      onProgress: (progress) => {
+        Object.assign(tracker, {
+          loaded: progress.loaded,
+          total: progress.total,
+          progress: progress.progress,
+          speed: progress.speed,
+          remainingTime: progress.remainingTime,
+        });
+        this.refresh();
+        if (onProgress) onProgress(progress, item);
+      },
+    });
+    this.handles.set(item.id, handle);
+    
+    handle.promise.then((response) => {
+      item.status = 'completed';
+      item.response = response;
+      Object.assign(tracker, { status: 'completed', loaded: item.size, progress: 100 });
+      this.emit('onFileComplete', item, response);
+    }, (error) => {
+      if (item.status !== 'cancelled') {
+        item.status = error.code === HttpErrorCode.CANCELED ? 'cancelled' : 'failed';
+      }
+      item.error = error;
+      Object.assign(tracker, { status: 'error', error: error.message || 'Upload failed' });
+      if (item.status === 'failed') this.emit('onFileError', item, error);
+    }).finally(() => {
+      this.handles.delete(item.id);
+      this.refresh();
+      this.pump();
+    });
   }
 
   /**
-   * Clear all interceptors
+   * Call a queue callback. Its errors are logged, so they never break the queue or go unhandled.
+   * @param {string} name - 'onFileComplete', 'onFileError' or 'onComplete'
+   * @param {...any} args - Callback arguments
    */
-  clearInterceptors() {
-    this.interceptors.request = [];
-    this.interceptors.response = [];
+  emit(name, ...args) {
+    const callback = this.callbacks[name];
+    if (!callback) return;
+    
+    try {
+      callback(...args);
+    } catch (error) {
+      console.error(`[ZogHttp] Upload queue ${name} callback failed`, error);
+    }
   }
 
   /**
-   * Build the full URL with query parameters
-   * @param {string} url - The endpoint URL
-   * @param {Object} params - Query parameters
-   * @returns {string} - Full URL with query string
+   * Recompute the totals, and settle done() once nothing is left to upload
    */
-  buildURL(url, params = {}) {
-    // Handle base URL
-    let fullURL = url.startsWith('http') ? url : `${this.config.baseURL}${url}`;
+  refresh() {
+    const { state } = this;
+    const counts = { queued: 0, uploading: 0, completed: 0, failed: 0, cancelled: 0 };
+    let loaded = 0;
+    let totalBytes = 0;
     
-    // Build query string
-    const queryParams = new URLSearchParams();
-    for (const [key, value] of Object.entries(params)) {
-      if (value !== undefined && value !== null) {
-        if (Array.isArray(value)) {
-          value.forEach(v => queryParams.append(key, v));
-        } else {
-          queryParams.append(key, value);
-        }
+    for (const item of state.items) {
+      counts[item.status === 'paused' ? 'uploading' : item.status]++;
+      if (item.status === 'cancelled') continue;
+      
+      // Upload totals include form fields, so count the file's share of its progress
+      totalBytes += item.size;
+      if (item.status === 'completed') {
+        loaded += item.size;
+      } else if (item.status === 'uploading' || item.status === 'paused') {
+        loaded += item.tracker.total > 0 ? Math.round((item.size * item.tracker.loaded) / item.tracker.total) : 0;
       }
     }
     
-    const queryString = queryParams.toString();
-    if (queryString) {
-      fullURL += (fullURL.includes('?') ? '&' : '?') + queryString;
+    Object.assign(state, counts, { total: state.items.length, loaded, totalBytes });
+    state.progress = totalBytes > 0 ? Math.round((loaded / totalBytes) * 100) : 0;
+    
+    const elapsed = state.startTime ? (Date.now() - state.startTime) / 1000 : 0;
+    state.speed = elapsed > 0 ? Math.round(loaded / elapsed) : 0;
+    state.remainingTime = state.speed > 0 ? Math.round((totalBytes - loaded) / state.speed) : 0;
+    
+    const settled = counts.queued === 0 && counts.uploading === 0;
+    if (this.paused && !settled) {
+      state.status = 'paused';
+    } else if (!settled) {
+      state.status = this.started ? 'uploading' : 'idle';
+    } else if (state.items.length === 0) {
+      state.status = 'idle';
+    } else {
+      state.status = counts.failed > 0 ? 'error' : 'completed';
     }
     
-    return fullURL;
+    if (!settled) {
+      this.running = this.running || counts.uploading > 0;
+      return;
+    }
+    
+    // Report the end of a run once, and answer done() whenever nothing is pending
+    const finishedRun = this.running;
+    this.running = false;
+    if (!finishedRun && !this.waiters.length) return;
+    
+    const result = {
+      completed: state.items.filter(item => item.status === 'completed'),
+      failed: state.items.filter(item => item.status === 'failed'),
+      cancelled: state.items.filter(item => item.status === 'cancelled'),
+    };
+    const waiters = this.waiters;
+    this.waiters = [];
+    waiters.forEach(resolve => resolve(result));
+    if (finishedRun) this.emit('onComplete', result);
+  }
+}
+
+/**
+ * Response cache with TTL and reactive per-entry state
+ */
+class ResponseCache {
+  constructor(reactive) {
+    this.reactive = reactive;
+    this.entries = new Map();
   }
 
   /**
-   * Run request interceptors
-   * @param {Object} config - Request configuration
-   * @returns {Promise<Object>} - Modified configuration
+   * Build a cache key
+   * @param {string} method - HTTP method
+   * @param {string} url - Full URL (including query string)
+   * @param {string|null} responseType - Requested response type (null when detected)
+   * @returns {string} - Cache key
    */
-  async runRequestInterceptors(config) {
-    let modifiedConfig = { ...config };
-    
-    for (const interceptor of this.interceptors.request) {
-      try {
-        if (interceptor.fulfilled) {
-          modifiedConfig = await interceptor.fulfilled(modifiedConfig) || modifiedConfig;
-        }
-      } catch (error) {
-        if (interceptor.rejected) {
-          modifiedConfig = await interceptor.rejected(error) || modifiedConfig;
-        } else {
-          throw error;
-        }
-      }
+  key(method, url, responseType = null) {
+    const key = `${method.toUpperCase()} ${url}`;
+    return responseType ? `${key} ${responseType}` : key;
+  }
+
+  /**
+   * Get an entry, creating an empty one if needed
+   * @param {string} key - Cache key
+   * @returns {Object} - { response, expiresAt, state }
+   */
+  entry(key) {
+    let entry = this.entries.get(key);
+    if (!entry) {
+      entry = {
+        response: null,
+        pipeline: null,
+        expiresAt: 0,
+        state: this.reactive({
+          data: null,
+          status: null,
+          updatedAt: null,
+          stale: true,
+          revalidating: false,
+        }),
+      };
+      this.entries.set(key, entry);
     }
+    return entry;
+  }
+
+  /**
+   * Get a stored response
+   * @param {string} key - Cache key
+   * @returns {Object|null} - { response, fresh, pipeline } or null on miss
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || !entry.response) return null;
     
-    return modifiedConfig;
+    const fresh = Date.now() < entry.expiresAt;
+    entry.state.stale = !fresh;
+    return { response: entry.response, fresh, pipeline: entry.pipeline };
   }
 
   /**
-   * Run response interceptors
+   * Store a response
+   * @param {string} key - Cache key
    * @param {Object} response - Response object
-   * @returns {Promise<Object>} - Modified response
+   * @param {number} ttl - Time to live in milliseconds
+   * @param {Object} [pipeline] - { transformResponse, validate } the response went through
    */
-  async runResponseInterceptors(response) {
-    let modifiedResponse = response;
-    
-    for (const interceptor of this.interceptors.response) {
-      try {
-        if (interceptor.fulfilled) {
-          modifiedResponse = await interceptor.fulfilled(modifiedResponse) || modifiedResponse;
-        }
-      } catch (error) {
-        if (interceptor.rejected) {
-          modifiedResponse = await interceptor.rejected(error);
-        } else {
-          throw error;
-        }
-      }
-    }
-    
-    return modifiedResponse;
+  set(key, response, ttl, pipeline = null) {
+    const entry = this.entry(key);
+    const now = Date.now();
+    entry.response = response;
+    entry.pipeline = pipeline;
+    entry.expiresAt = now + ttl;
+    entry.state.data = response.data;
+    entry.state.status = response.status;
+    entry.state.updatedAt = now;
+    entry.state.stale = false;
   }
 
   /**
-   * Run response error interceptors
-   * @param {Error} error - The error object
-   * @returns {Promise} - Rejected promise or modified error
+   * Drop stored responses matching a pattern.
+   * Reactive entry state keeps its last data (marked stale) so bound templates don't blank out.
+   * @param {string|RegExp|Function} pattern - URL substring, RegExp or predicate(key, entry)
+   * @returns {number} - Number of invalidated entries
    */
-  async runResponseErrorInterceptors(error) {
-    for (const interceptor of this.interceptors.response) {
-      if (interceptor.rejected) {
-        try {
-          const result = await interceptor.rejected(error);
-          if (result !== undefined) {
-            return result;
-          }
-        } catch (e) {
-          error = e;
-        }
+  invalidate(pattern) {
+    let count = 0;
+    for (const [key, entry] of this.entries) {
+      const url = key.split(' ')[1];
+      let matches;
+      if (typeof pattern === 'function') {
+        matches = pattern(key, entry);
+      } else if (pattern instanceof RegExp) {
+        matches = pattern.test(url);
+      } else {
+        matches = url.includes(pattern);
+      }
+      
+      if (matches && entry.response) {
+        entry.response = null;
+        entry.expiresAt = 0;
+        entry.state.stale = true;
+        count++;
       }
     }
-    throw error;
+    return count;
   }
 
   /**
-   * Generate a unique request ID
-   * @returns {string} - Unique ID
+   * Drop all stored responses
    */
-  generateRequestId() {
-    return `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  clear() {
+    this.invalidate(() => true);
   }
+}
 
-  /**
-   * Main request method
-   * @param {Object} options - Request options
-   * @returns {Promise<Object>} - Response data
-   */
-  async request(options) {
-    const requestId = this.generateRequestId();
-    const abortController = new AbortController();
-    this.abortControllers.set(requestId, abortController);
-    
-    // Merge options with defaults
-    let config = {
-      method: 'GET',
-      headers: { ...this.config.headers },
-      timeout: this.config.timeout,
-      withCredentials: this.config.withCredentials,
-      retries: this.config.retries,
-      retryDelay: this.config.retryDelay,
-      ...options,
-    };
-    
-    // Merge custom headers
-    if (options.headers) {
-      config.headers = { ...config.headers, ...options.headers };
+/**
+ * Read a fetch response body
+ * @param {Response} response - Fetch response
+ * @param {string} method - HTTP method
+ * @param {string|null} responseType - Requested type, or null to detect from Content-Type
+ * @returns {Promise<any>} - Parsed body (null for HEAD and bodiless statuses)
+ */
+async function parseResponseBody(response, method, responseType) {
+  if (method === 'HEAD' || NULL_BODY_STATUSES.includes(response.status)) {
+    return null;
+  }
+
+  const type = responseType || detectResponseType(getMediaType(response.headers.get('content-type')));
+  
+  switch (type) {
+    case 'raw':
+      return response;
+    case 'stream':
+      return response.body;
+    case 'blob':
+      return response.blob();
+    case 'arraybuffer':
+      return response.arrayBuffer();
+    case 'formData':
+      return response.formData();
+    case 'text':
+      return response.text();
+    case 'json': {
+      const text = await response.text();
+      return text ? JSON.parse(text) : null;
     }
-    
-    // Run request interceptors
-    try {
-      config = await this.runRequestInterceptors(config);
-    } catch (error) {
-      this.abortControllers.delete(requestId);
-      throw error;
+    default:
+      return parseText(await response.text());
+  }
+}
+
+/**
+ * Parse a body of unknown type: JSON first, falling back to text
+ * @param {string} text - Body text
+ * @returns {any} - Parsed value or the text itself
+ */
+function parseText(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Parse raw response headers (as from XMLHttpRequest.getAllResponseHeaders())
+ * @param {string} headersString - Raw headers string
+ * @returns {Object} - Headers object with lowercase names
+ */
+function parseRawHeaders(headersString) {
+  const headers = {};
+  if (!headersString) return headers;
+  
+  headersString.split('\r\n').forEach(line => {
+    const [key, ...values] = line.split(':');
+    if (key && values.length) {
+      headers[key.trim().toLowerCase()] = values.join(':').trim();
     }
-    
-    // Build URL
-    const url = this.buildURL(config.url, config.params);
-    
+  });
+  
+  return headers;
+}
+
+/**
+ * Read a fetch response to the end, reporting progress, and return an equivalent buffered response
+ * @param {Response} response - Fetch response with an unread body
+ * @param {Function} onProgress - ({ loaded, total }) => void, total is 0 when unknown
+ * @returns {Promise<Response>} - Response whose body is the buffered data
+ */
+async function readWithProgress(response, onProgress) {
+  const contentLength = response.headers.get('content-length');
+  const total = contentLength ? parseInt(contentLength, 10) : 0;
+  
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  
+  while (true) {
+    const { done, value } = await reader.read();
+    
+    if (done) break;
+    
+    chunks.push(value);
+    loaded += value.length;
+    onProgress({ loaded, total });
+  }
+
+  return new Response(new Blob(chunks), {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+  });
+}
+
+/**
+ * Transport adapter using the Fetch API
+ * @param {Object} request - { url, method, headers, body, signal, credentials, responseType, onDownloadProgress }
+ * @returns {Promise<Object>} - { data, status, statusText, headers }
+ */
+async function fetchAdapter(request) {
+  const { url, responseType, onUploadProgress, onDownloadProgress, ...init } = request;
+  
+  let response;
+  try {
+    response = await fetch(url, init);
+  } catch (error) {
+    // fetch() rejects with a TypeError when the network fails
+    if (error.name === 'TypeError') {
+      const networkError = new HttpError('Network error', 0, null, { url, ...init }, HttpErrorCode.NETWORK);
+      networkError.cause = error;
+      throw networkError;
+    }
+    throw error;
+  }
+
+  if (onDownloadProgress && response.body && !UNREAD_RESPONSE_TYPES.includes(responseType)) {
+    response = await readWithProgress(response, onDownloadProgress);
+  }
+
+  return {
+    data: await parseResponseBody(response, init.method, responseType),
+    status: response.status,
+    statusText: response.statusText,
+    headers: Object.fromEntries(response.headers.entries()),
+  };
+}
+
+/**
+ * Transport adapter using XMLHttpRequest, which can report upload progress
+ * @param {Object} request - { url, method, headers, body, signal, credentials, responseType, onUploadProgress, onDownloadProgress }
+ * @returns {Promise<Object>} - { data, status, statusText, headers }
+ */
+function xhrAdapter(request) {
+  const { url, method, headers = {}, body, signal, credentials, responseType, onUploadProgress, onDownloadProgress } = request;
+  
+  return new Promise((resolve, reject) => {
+    if (['stream', 'raw', 'formData'].includes(responseType)) {
+      reject(new Error(`[ZogHttp] The xhr adapter does not support responseType '${responseType}'`));
+      return;
+    }
+    if (signal?.aborted) {
+      reject(new DOMException('Request aborted', 'AbortError'));
+      return;
+    }
+    
+    const xhr = new XMLHttpRequest();
+    xhr.open(method, url);
+    
+    for (const [key, value] of Object.entries(headers)) {
+      xhr.setRequestHeader(key, value);
+    }
+    xhr.withCredentials = credentials === 'include';
+    if (responseType === 'blob' || responseType === 'arraybuffer') {
+      xhr.responseType = responseType;
+    }
+    
+    // Without a responseType, read binary media types as a Blob, as fetchAdapter does
+    xhr.addEventListener('readystatechange', () => {
+      if (xhr.readyState === 2 && !responseType) {
+        const type = detectResponseType(getMediaType(xhr.getResponseHeader('content-type')));
+        if (type === 'blob') xhr.responseType = 'blob';
+      }
+    });
+    
+    if (onUploadProgress) {
+      xhr.upload.addEventListener('progress', (event) => {
+        if (event.lengthComputable) {
+          onUploadProgress({ loaded: event.loaded, total: event.total });
+        }
+      });
+    }
+    if (onDownloadProgress) {
+      xhr.addEventListener('progress', (event) => {
+        onDownloadProgress({ loaded: event.loaded, total: event.lengthComputable ? event.total : 0 });
+      });
+    }
+    
+    xhr.addEventListener('load', () => {
+      const responseHeaders = parseRawHeaders(xhr.getAllResponseHeaders());
+      let data = null;
+      
+      if (method !== 'HEAD' && !NULL_BODY_STATUSES.includes(xhr.status)) {
+        if (xhr.responseType === 'blob' || xhr.responseType === 'arraybuffer') {
+          data = xhr.response;
+        } else {
+          const type = responseType || detectResponseType(getMediaType(responseHeaders['content-type']));
+          const text = xhr.responseText;
+          if (type === 'text') {
+            data = text;
+          } else if (type === 'json') {
+            data = text ? JSON.parse(text) : null;
+          } else {
+            data = parseText(text);
+          }
+        }
+      }
+      
+      resolve({ data, status: xhr.status, statusText: xhr.statusText, headers: responseHeaders });
+    });
+    
+    xhr.addEventListener('error', () => {
+      reject(new HttpError('Network error', 0, null, { url, method }, HttpErrorCode.NETWORK));
+    });
+    
+    xhr.addEventListener('abort', () => {
+      reject(new DOMException('Request aborted', 'AbortError'));
+    });
+    
+    signal?.addEventListener('abort', () => xhr.abort(), { once: true });
+    
+    xhr.send(body ?? null);
+  });
+}
+
+/**
+ * Built-in transport adapters by name
+ */
+const ADAPTERS = {
+  fetch: fetchAdapter,
+  xhr: xhrAdapter,
+};
+
+/**
+ * Resolve the adapter option to a transport function
+ * @param {string|Function|null} adapter - Adapter name, function, or null for the default
+ * @param {boolean} uploadProgress - Whether the default should be able to report upload progress
+ * @returns {Function} - (request) => Promise<{ data, status, statusText, headers }>
+ */
+function resolveAdapter(adapter, uploadProgress = false) {
+  if (typeof adapter === 'function') return adapter;
+  
+  const name = adapter ?? (uploadProgress && typeof XMLHttpRequest !== 'undefined' ? 'xhr' : 'fetch');
+  if (!ADAPTERS[name]) {
+    throw new Error(`[ZogHttp] Unknown adapter '${name}'`);
+  }
+  return ADAPTERS[name];
+}
+
+/**
+ * Compose middleware into one function ending with the transport.
+ * next() may be called more than once (e.g. to retry) or not at all (to short-circuit).
+ * @param {Function[]} middleware - (ctx, next) => response
+ * @param {Function} transport - (ctx) => response
+ * @returns {Function} - (ctx) => Promise<response>
+ */
+function composeMiddleware(middleware, transport) {
+  return (ctx) => {
+    const dispatch = async (index) => {
+      const handler = index < middleware.length ? middleware[index] : transport;
+      const result = await handler(ctx, () => dispatch(index + 1));
+      
+      // Middleware may return the response or leave it on ctx.response
+      if (result !== undefined) {
+        ctx.response = result;
+      }
+      return ctx.response;
+    };
+    return dispatch(0);
+  };
+}
+
+let interceptorCounter = 0;
+
+/**
+ * Ordered list of interceptors with stable IDs
+ */
+class InterceptorManager {
+  constructor() {
+    this.handlers = [];
+  }
+
+  /**
+   * Add an interceptor
+   * @param {Function} fulfilled - Runs with the value (config or response)
+   * @param {Function} rejected - Runs with an error from the request or an earlier interceptor
+   * @param {Object} options - { priority, runWhen, synchronous }
+   * @returns {number} - Interceptor ID, unique across all clients
+   */
+  use(fulfilled, rejected, options = {}) {
+    const { priority = 0, runWhen = null, synchronous = false } = options;
+    const id = ++interceptorCounter;
+    this.handlers.push({ id, fulfilled, rejected, priority, runWhen, synchronous });
+    
+    // Higher priority first; equal priorities keep their insertion order (sort is stable)
+    this.handlers.sort((a, b) => b.priority - a.priority);
+    return id;
+  }
+
+  /**
+   * Remove an interceptor
+   * @param {number} id - Interceptor ID
+   * @returns {boolean} - Whether an interceptor was removed
+   */
+  eject(id) {
+    const index = this.handlers.findIndex(handler => handler.id === id);
+    if (index === -1) return false;
+    this.handlers.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Remove all interceptors
+   */
+  clear() {
+    this.handlers = [];
+  }
+
+  /**
+   * Interceptors that apply to a request
+   * @param {Object} config - Request config ({ skipInterceptors, ... })
+   * @returns {Array<Object>} - Handlers in run order
+   */
+  forRequest(config = {}) {
+    const skip = config.skipInterceptors;
+    if (skip === true) return [];
+    
+    return this.handlers.filter(handler =>
+      !(Array.isArray(skip) && skip.includes(handler.id)) &&
+      (!handler.runWhen || handler.runWhen(config))
+    );
+  }
+}
+
+/**
+ * Main HTTP Client class
+ */
+class ZogHttpClient {
+  constructor(config, reactive, ref, effect = null) {
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.reactive = reactive;
+    this.ref = ref;
+    this.effect = effect; // reactive effect runner, enables auto-refetch in useRequest
+    
+    // Interceptors storage
+    this.interceptors = {
+      request: new InterceptorManager(),
+      response: new InterceptorManager(),
+    };
+    
+    // Global reactive state
+    this.state = reactive({
+      loading: false,
+      error: null,
+      lastRequest: null,
+      pendingRequests: 0,
+      retrying: 0,
+      revalidating: 0,
+      refreshingAuth: false,
+    });
+    
+    // Active abort controllers for request cancellation
+    this.abortControllers = new Map();
+    
+    // Cancellation groups: tag -> Set of request IDs, and request ID -> tags
+    this.groups = new Map();
+    this.requestTags = new Map();
+    
+    // Request body serializers by Content-Type
+    this.serializers = { ...DEFAULT_SERIALIZERS, ...this.config.serializers };
+    
+    // Response cache
+    this.cache = new ResponseCache(reactive);
+    
+    // Shared in-flight GET/HEAD requests
+    this.inflight = new Map();
+    
+    // Middleware wrapping the transport, outermost first
+    this.middleware = [];
+    
+    // HAR recorder (startRecording) and replay adapter (replay)
+    this.recorder = null;
+    this.replayAdapter = null;
+    
+    // Pending token refresh (new requests wait on it) and number of completed refreshes
+    this.authRefresh = null;
+    this.authGeneration = 0;
+  }
+
+  /**
+   * Set the base URL for all requests
+   * @param {string} url - The base URL
+   * @returns {ZogHttpClient} - Returns this for chaining
+   */
+  setBaseURL(url) {
+    this.config.baseURL = url;
+    return this;
+  }
+
+  /**
+   * Set a default header for all requests
+   * @param {string} key - Header name
+   * @param {string} value - Header value
+   * @returns {ZogHttpClient} - Returns this for chaining
+   */
+  setHeader(key, value) {
+    this.config.headers[key] = value;
+    return this;
+  }
+
+  /**
+   * Set multiple headers at once
+   * @param {Object} headers - Headers object
+   * @returns {ZogHttpClient} - Returns this for chaining
+   */
+  setHeaders(headers) {
+    this.config.headers = { ...this.config.headers, ...headers };
+    return this;
+  }
+
+  /**
+   * Remove a default header
+   * @param {string} key - Header name to remove
+   * @returns {ZogHttpClient} - Returns this for chaining
+   */
+  removeHeader(key) {
+    delete this.config.headers[key];
+    return this;
+  }
+
+  /**
+   * Set the authentication token (Bearer token)
+   * @param {string} token - The authentication token
+   * @returns {ZogHttpClient} - Returns this for chaining
+   */
+  setAuthToken(token) {
+    if (token) {
+      this.config.headers['Authorization'] = `Bearer ${token}`;
+    } else {
+      delete this.config.headers['Authorization'];
+    }
+    return this;
+  }
+
+  /**
+   * Set Basic authentication
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @returns {ZogHttpClient} - Returns this for chaining
+   */
+  setBasicAuth(username, password) {
+    const encoded = btoa(`${username}:${password}`);
+    this.config.headers['Authorization'] = `Basic ${encoded}`;
+    return this;
+  }
+
+  /**
+   * Clear authentication
+   * @returns {ZogHttpClient} - Returns this for chaining
+   */
+  clearAuth() {
+    delete this.config.headers['Authorization'];
+    return this;
+  }
+
+  /**
+   * Register a request body serializer for a Content-Type
+   * @param {string} contentType - Media type (e.g. 'application/x-ndjson')
+   * @param {Function} serializer - (body, headers) => string | Blob | FormData | URLSearchParams | ...
+   * @returns {ZogHttpClient} - Returns this for chaining
+   */
+  registerSerializer(contentType, serializer) {
+    const mediaType = getMediaType(contentType);
+    this.config.serializers = { ...this.config.serializers, [mediaType]: serializer };
+    this.serializers[mediaType] = serializer;
+    return this;
+  }
+
+  /**
+   * Set request timeout
+   * @param {number} ms - Timeout in milliseconds
+   * @returns {ZogHttpClient} - Returns this for chaining
+   */
+  setTimeout(ms) {
+    this.config.timeout = ms;
+    return this;
+  }
+
+  /**
+   * Add a request interceptor
+   * @param {Function} fulfilled - Function to run before request
+   * @param {Function} rejected - Function to run on an error from an earlier request interceptor
+   * @param {Object} options - Interceptor options
+   * @param {number} [options.priority=0] - Higher priorities run first
+   * @param {Function} [options.runWhen] - (config) => boolean, skip the interceptor when false
+   * @param {boolean} [options.synchronous=false] - Call without awaiting (the handler must not return a promise)
+   * @returns {number} - Interceptor ID for removal
+   */
+  addRequestInterceptor(fulfilled, rejected, options = {}) {
+    return this.interceptors.request.use(fulfilled, rejected, options);
+  }
+
+  /**
+   * Add a response interceptor
+   * @param {Function} fulfilled - Function to run on successful response
+   * @param {Function} rejected - Function to run on response error
+   * @param {Object} options - { priority, runWhen, synchronous }, see addRequestInterceptor()
+   * @returns {number} - Interceptor ID for removal
+   */
+  addResponseInterceptor(fulfilled, rejected, options = {}) {
+    return this.interceptors.response.use(fulfilled, rejected, options);
+  }
+
+  /**
+   * Remove a request interceptor by ID
+   * @param {number} id - Interceptor ID
+   * @returns {boolean} - Whether an interceptor was removed
+   */
+  removeRequestInterceptor(id) {
+    return this.interceptors.request.eject(id);
+  }
+
+  /**
+   * Remove a response interceptor by ID
+   * @param {number} id - Interceptor ID
+   * @returns {boolean} - Whether an interceptor was removed
+   */
+  removeResponseInterceptor(id) {
+    return this.interceptors.response.eject(id);
+  }
+
+  /**
+   * Clear all interceptors
+   */
+  clearInterceptors() {
+    this.interceptors.request.clear();
+    this.interceptors.response.clear();
+  }
+
+  /**
+   * Add middleware around the transport
+   * @param {Function} middleware - async (ctx, next) => response. `ctx` holds requestId, attempt, config,
+   *   url, request (fetch options), response and state; `next()` resolves to the response
+   * @returns {ZogHttpClient} - Returns this for chaining
+   */
+  use(middleware) {
+    if (typeof middleware !== 'function') {
+      throw new Error('[ZogHttp] Middleware must be a function');
+    }
+    this.middleware.push(middleware);
+    return this;
+  }
+
+  /**
+   * Remove middleware added with use()
+   * @param {Function} middleware - The middleware function
+   * @returns {boolean} - Whether it was removed
+   */
+  removeMiddleware(middleware) {
+    const index = this.middleware.indexOf(middleware);
+    if (index === -1) return false;
+    this.middleware.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Start recording traffic as HAR 1.2 (request(), upload() and download())
+   * @param {Object} options - { redactHeaders: header names to hide, bodies: false to leave bodies out }
+   * @returns {ZogHttpClient} - Returns this for chaining
+   */
+  startRecording(options = {}) {
+    this.recorder = new HarRecorder(options);
+    return this;
+  }
+
+  /**
+   * Stop recording
+   * @returns {Object|null} - HAR JSON of the recorded traffic, or null if not recording
+   */
+  stopRecording() {
+    const { recorder } = this;
+    this.recorder = null;
+    return recorder ? recorder.toHAR() : null;
+  }
+
+  /**
+   * Serve responses from a HAR file instead of the network
+   * @param {Object|string} har - HAR JSON (object or text)
+   * @param {Object} options - { matchBody, timing, onUnhandled: 'throw' | 'passthrough' }
+   * @returns {ZogHttpClient} - Returns this for chaining
+   */
+  replay(har, options = {}) {
+    this.replayAdapter = harAdapter(har, options);
+    return this;
+  }
+
+  /**
+   * Go back to the network after replay()
+   * @returns {ZogHttpClient} - Returns this for chaining
+   */
+  stopReplay() {
+    this.replayAdapter = null;
+    return this;
+  }
+
+  /**
+   * Pick the transport for a request: the replay adapter or the configured one, recorded when recording
+   * @param {string|Function|null} adapter - Adapter option
+   * @param {boolean} uploadProgress - Whether the default should be able to report upload progress
+   * @returns {Function} - Transport adapter
+   */
+  getTransport(adapter, uploadProgress = false) {
+    const transport = this.replayAdapter || resolveAdapter(adapter, uploadProgress);
+    return this.recorder ? this.recorder.wrap(transport) : transport;
+  }
+
+  /**
+   * Send a request through the transport adapter (innermost step of the middleware chain)
+   * @param {Object} ctx - Middleware context
+   * @returns {Promise<Object>} - Response object
+   */
+  async dispatchRequest(ctx) {
+    const { adapter: adapterOption, responseType, onUploadProgress, onDownloadProgress } = ctx.config;
+    const adapter = this.getTransport(adapterOption, Boolean(onUploadProgress));
+    const response = await adapter({ url: ctx.url, ...ctx.request, responseType, onUploadProgress, onDownloadProgress });
+    
+    return {
+      ...response,
+      config: ctx.config,
+      request: { url: ctx.url, ...ctx.request },
+    };
+  }
+
+  /**
+   * Build the full URL with query parameters
+   * @param {string} url - The endpoint URL
+   * @param {Object} params - Query parameters
+   * @param {Object|Function} paramsSerializer - serializeParams() options, or (params) => query string
+   * @param {string} baseURL - Base URL for relative URLs
+   * @returns {string} - Full URL with query string
+   */
+  buildURL(url, params = {}, paramsSerializer = this.config.paramsSerializer, baseURL = this.config.baseURL) {
+    // Handle base URL
+    let fullURL = isAbsoluteURL(url) ? url : joinURL(baseURL, url);
+    
+    // Build query string
+    const queryString = typeof paramsSerializer === 'function'
+      ? paramsSerializer(params || {})
+      : serializeParams(params, paramsSerializer);
+    if (queryString) {
+      fullURL += (fullURL.includes('?') ? '&' : '?') + queryString;
+    }
+    
+    return fullURL;
+  }
+
+  /**
+   * Run interceptors as a promise chain: an error thrown by one handler goes to the
+   * `rejected` of the following ones, never to its own entry
+   * @param {InterceptorManager} manager - Interceptors to run
+   * @param {any} value - Config or response, or the error when `failed`
+   * @param {Object} config - Request config (for runWhen and skipInterceptors)
+   * @param {boolean} failed - Whether the chain starts with an error
+   * @returns {Promise<any>} - Final value
+   */
+  async runInterceptors(manager, value, config, failed = false) {
+    for (const { fulfilled, rejected, synchronous } of manager.forRequest(config)) {
+      const handler = failed ? rejected : fulfilled;
+      if (!handler) continue;
+      
+      try {
+        const result = synchronous ? handler(value) : await handler(value);
+        
+        // A rejected handler recovers by returning a value; returning nothing passes the error on
+        if (result !== undefined) {
+          value = result;
+          failed = false;
+        }
+      } catch (error) {
+        value = error;
+        failed = true;
+      }
+    }
+    
+    if (failed) throw value;
+    return value;
+  }
+
+  /**
+   * Run request interceptors
+   * @param {Object} config - Request configuration
+   * @returns {Promise<Object>} - Modified configuration
+   */
+  runRequestInterceptors(config) {
+    return this.runInterceptors(this.interceptors.request, { ...config }, config);
+  }
+
+  /**
+   * Run response interceptors
+   * @param {Object} response - Response object
+   * @param {Object} config - Request configuration
+   * @returns {Promise<Object>} - Modified response
+   */
+  runResponseInterceptors(response, config = response.config) {
+    return this.runInterceptors(this.interceptors.response, response, config);
+  }
+
+  /**
+   * Run response error interceptors
+   * @param {Error} error - The error object
+   * @param {Object} config - Request configuration
+   * @returns {Promise} - Rejected promise or recovered response
+   */
+  runResponseErrorInterceptors(error, config = error.response?.config) {
+    return this.runInterceptors(this.interceptors.response, error, config, true);
+  }
+
+  /**
+   * Abort a controller when another signal aborts
+   * @param {AbortSignal} signal - Source signal
+   * @param {AbortController} controller - Controller to abort
+   * @returns {Function} - Removes the link
+   */
+  linkSignal(signal, controller) {
+    if (signal.aborted) {
+      controller.abort();
+      return () => {};
+    }
+    
+    const onAbort = () => controller.abort();
+    signal.addEventListener('abort', onAbort, { once: true });
+    return () => signal.removeEventListener('abort', onAbort);
+  }
+
+  /**
+   * Generate a unique request ID
+   * @returns {string} - Unique ID
+   */
+  generateRequestId() {
+    return `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Register a request for cancellation by ID and by group/tags
+   * @param {string} requestId - Request ID
+   * @param {AbortController} controller - The request's controller
+   * @param {Object} options - Request options ({ group, tags })
+   */
+  trackRequest(requestId, controller, options = {}) {
+    this.abortControllers.set(requestId, controller);
+    
+    const tags = [].concat(options.group ?? [], options.tags ?? []);
+    if (tags.length) {
+      this.requestTags.set(requestId, tags);
+      for (const tag of tags) {
+        if (!this.groups.has(tag)) {
+          this.groups.set(tag, new Set());
+        }
+        this.groups.get(tag).add(requestId);
+      }
+    }
+  }
+
+  /**
+   * Forget a finished or cancelled request
+   * @param {string} requestId - Request ID
+   */
+  untrackRequest(requestId) {
+    this.abortControllers.delete(requestId);
+    
+    const tags = this.requestTags.get(requestId);
+    if (tags) {
+      for (const tag of tags) {
+        const ids = this.groups.get(tag);
+        if (ids) {
+          ids.delete(requestId);
+          if (ids.size === 0) this.groups.delete(tag);
+        }
+      }
+      this.requestTags.delete(requestId);
+    }
+  }
+
+  /**
+   * Main request method
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} - Response data. The promise also has `requestId` and `abort()`
+   */
+  request(options) {
+    const requestId = this.generateRequestId();
+    const abortController = new AbortController();
+    this.trackRequest(requestId, abortController, options);
+    
+    const promise = this.performRequest(options, requestId, abortController);
+    promise.requestId = requestId;
+    promise.abort = () => this.cancelRequest(requestId);
+    return promise;
+  }
+
+  /**
+   * Run a tracked request (see request())
+   * @param {Object} options - Request options
+   * @param {string} requestId - Request ID
+   * @param {AbortController} abortController - The request's controller
+   * @returns {Promise<Object>} - Response data
+   */
+  async performRequest(options, requestId, abortController) {
+
+    // Merge options with defaults
+    let config = {
+      method: 'GET',
+      baseURL: this.config.baseURL,
+      headers: { ...this.config.headers },
+      timeout: this.config.timeout,
+      totalTimeout: this.config.totalTimeout,
+      withCredentials: this.config.withCredentials,
+      retries: this.config.retries,
+      retryDelay: this.config.retryDelay,
+      retryPolicy: this.config.retryPolicy,
+      cache: this.config.cache,
+      cacheTTL: this.config.cacheTTL,
+      dedupe: this.config.dedupe,
+      responseType: this.config.responseType,
+      paramsSerializer: this.config.paramsSerializer,
+      validate: this.config.validate,
+      adapter: this.config.adapter,
+      ...options,
+    };
+    
+    // Merge custom headers
+    if (options.headers) {
+      config.headers = { ...config.headers, ...options.headers };
+    }
+    
+    // Merge custom retry policy
+    if (options.retryPolicy) {
+      config.retryPolicy = { ...this.config.retryPolicy, ...options.retryPolicy };
+    }
+    
+    // Client transforms run first, then per-request ones
+    config.transformRequest = [...toPipeline(this.config.transformRequest), ...toPipeline(options.transformRequest)];
+    config.transformResponse = [...toPipeline(this.config.transformResponse), ...toPipeline(options.transformResponse)];
+    
+    // Apply the access token (waits for a pending refresh), then run request interceptors
+    const useAuth = this.config.auth && config.auth !== false;
+    let authGeneration;
+    let url;
+    try {
+      if (useAuth) {
+        authGeneration = await this.applyAuth(config.headers);
+      }
+      config = await this.runRequestInterceptors(config);
+      
+      // Check the query parameters before they are serialized
+      if (config.validateParams) {
+        const result = await runValidator(config.validateParams, config.params ?? {}, config);
+        if (result.issues) {
+          throw new HttpValidationError(
+            'Request params validation failed',
+            result.issues,
+            null,
+            { url: config.url, method: config.method }
+          );
+        }
+        config.params = result.value;
+      }
+      
+      // Build URL; config.url keeps the template (e.g. for metrics grouping)
+      url = this.buildURL(
+        resolvePath(config.url, config.pathParams),
+        config.params,
+        config.paramsSerializer,
+        config.baseURL
+      );
+      
+      // Check the body as the caller gave it, before any transform
+      if (config.validateBody) {
+        const result = await runValidator(config.validateBody, config.body, config);
+        if (result.issues) {
+          throw new HttpValidationError(
+            'Request body validation failed',
+            result.issues,
+            null,
+            { url: config.url, method: config.method }
+          );
+        }
+        config.body = result.value;
+      }
+      
+      // Transform the body before it is serialized
+      if (config.body !== undefined) {
+        for (const transform of config.transformRequest) {
+          config.body = await transform(config.body, config);
+        }
+      }
+    } catch (error) {
+      this.untrackRequest(requestId);
+      throw error;
+    }
+    
     // Prepare fetch options
     const fetchOptions = {
       method: config.method.toUpperCase(),
@@ -469,555 +2289,2990 @@ class ZogHttpClient {
       credentials: config.withCredentials ? 'include' : 'same-origin',
     };
     
-    // Add body for non-GET requests
-    if (config.body !== undefined && !['GET', 'HEAD'].includes(fetchOptions.method)) {
-      if (config.body instanceof FormData) {
-        // Remove Content-Type for FormData (browser sets it with boundary)
-        delete fetchOptions.headers['Content-Type'];
-        fetchOptions.body = config.body;
-      } else if (typeof config.body === 'object') {
-        fetchOptions.body = JSON.stringify(config.body);
-      } else {
-        fetchOptions.body = config.body;
-      }
+    // Add body for non-GET requests
+    if (config.body !== undefined && !['GET', 'HEAD'].includes(fetchOptions.method)) {
+      fetchOptions.body = this.serializeBody(config.body, fetchOptions.headers);
+      
+      // Streaming request bodies must be sent half-duplex
+      if (typeof ReadableStream !== 'undefined' && fetchOptions.body instanceof ReadableStream) {
+        fetchOptions.duplex = 'half';
+      }
+    }
+    
+    // Serve from cache when the policy allows it
+    const cachePolicy = config.cache === true ? 'default' : config.cache;
+    const unreadBody = UNREAD_RESPONSE_TYPES.includes(config.responseType);
+    const useCache = cachePolicy && cachePolicy !== 'no-store' && !unreadBody
+      && CACHEABLE_METHODS.includes(fetchOptions.method);
+    const cacheKey = useCache ? this.cache.key(fetchOptions.method, url, config.responseType) : null;
+    
+    if (useCache && cachePolicy !== 'reload') {
+      // A response is only shared with requests that transform and validate it the same way
+      const cached = this.cache.get(cacheKey);
+      if (cached && cached.pipeline && sameResponsePipeline(cached.pipeline, config)) {
+        if (!cached.fresh && cachePolicy === 'stale-while-revalidate') {
+          this.revalidate(cacheKey, options);
+        }
+        if (cached.fresh || cachePolicy === 'force-cache' || cachePolicy === 'stale-while-revalidate') {
+          this.untrackRequest(requestId);
+          return cached.response;
+        }
+      }
+    }
+    
+    // Identical GET/HEAD requests share one fetch with its own controller,
+    // so cancelling one caller doesn't abort the others
+    let dedupeKey = config.dedupe && !unreadBody && DEDUPABLE_METHODS.includes(fetchOptions.method)
+      ? this.dedupeKey(fetchOptions.method, url, config.headers, config.responseType)
+      : null;
+      
+    // A request that transforms or validates responses differently sends its own
+    const existingFlight = dedupeKey ? this.inflight.get(dedupeKey) : null;
+    if (existingFlight && !sameResponsePipeline(existingFlight.config, config)) {
+      dedupeKey = null;
+    }
+    const transportController = dedupeKey ? new AbortController() : abortController;
+    fetchOptions.signal = transportController.signal;
+    
+    // Combine the caller's own signal with the client's controller
+    const unlinkSignal = config.signal ? this.linkSignal(config.signal, abortController) : null;
+    
+    // Update global state
+    this.state.loading = true;
+    this.state.pendingRequests++;
+    let lastRequest = { url, method: fetchOptions.method, time: Date.now(), attempt: 1 };
+    this.state.lastRequest = lastRequest;
+    this.state.error = null;
+    
+    const retryPolicy = this.resolveRetryPolicy(config);
+    
+    // Wait before the next attempt, keeping reactive state in sync
+    const retry = async (error, attempt) => {
+      const delay = this.getRetryDelay(error, attempt, retryPolicy);
+      if (retryPolicy.onRetry) {
+        retryPolicy.onRetry(error, { attempt: attempt + 1, delay, config });
+      }
+      
+      this.state.retrying++;
+      try {
+        await new Promise((resolve) => {
+          const timeoutId = setTimeout(resolve, delay);
+          transportController.signal.addEventListener('abort', () => {
+            clearTimeout(timeoutId);
+            resolve();
+          }, { once: true });
+        });
+      } finally {
+        this.state.retrying--;
+      }
+      
+      if (this.state.lastRequest === lastRequest) {
+        lastRequest = { ...lastRequest, attempt: attempt + 1 };
+        this.state.lastRequest = lastRequest;
+      }
+      return executeRequest(attempt + 1);
+    };
+    
+    // Refresh the access token once, then replay the same attempt
+    let authRefreshed = false;
+    const replayWithAuth = async (error, attempt) => {
+      authRefreshed = true;
+      await this.refreshAuth(error, authGeneration);
+      authGeneration = await this.applyAuth(fetchOptions.headers);
+      return executeRequest(attempt);
+    };
+    
+    // Retry logic wrapper
+    let totalTimedOut = false;
+    
+    const executeRequest = async (attempt) => {
+      // Each attempt gets its own controller and timeout, aborted along with the request
+      const attemptController = new AbortController();
+      const unlinkAttempt = this.linkSignal(transportController.signal, attemptController);
+      let attemptTimedOut = false;
+      const attemptTimeoutId = config.timeout ? setTimeout(() => {
+        attemptTimedOut = true;
+        attemptController.abort();
+      }, config.timeout) : null;
+      
+      try {
+        // Send through the middleware chain; middleware may also answer without the network
+        const ctx = {
+          requestId,
+          attempt,
+          config,
+          url,
+          request: { ...fetchOptions, signal: attemptController.signal },
+          response: null,
+          state: {},
+        };
+        const result = await composeMiddleware(this.middleware, (c) => this.dispatchRequest(c))(ctx);
+        if (!result) {
+          throw new Error('[ZogHttp] Middleware finished without a response');
+        }
+        
+        // Fill in what a synthetic response left out
+        const responseObj = {
+          data: null,
+          statusText: '',
+          headers: {},
+          ...result,
+          status: result.status ?? 200,
+          config,
+          request: result.request || { url: ctx.url, ...ctx.request },
+        };
+        const { data } = responseObj;
+        
+        // Check for HTTP errors
+        if (responseObj.status < 200 || responseObj.status > 299) {
+          const error = new HttpError(
+            data?.message || responseObj.statusText || `Request failed with status ${responseObj.status}`,
+            responseObj.status,
+            responseObj,
+            { url, ...fetchOptions }
+          );
+          
+          if (useAuth && !authRefreshed && this.shouldRefreshAuth(error)) {
+            return replayWithAuth(error, attempt);
+          }
+          
+          if (this.shouldRetry(error, attempt, retryPolicy, config)) {
+            return retry(error, attempt);
+          }
+          
+          throw error;
+        }
+        
+        // Transform and validate the data before response interceptors see it
+        if (!unreadBody) {
+          await this.transformResponse(responseObj, config);
+        }
+        
+        return responseObj;
+        
+      } catch (error) {
+        // Tell timeouts apart from cancellation
+        if (error.name === 'AbortError') {
+          if (attemptTimedOut || totalTimedOut) {
+            const timeoutError = new HttpError('Request timeout', 408, null, { url, ...fetchOptions }, HttpErrorCode.TIMEOUT);
+            if (!totalTimedOut && this.shouldRetry(timeoutError, attempt, retryPolicy, config)) {
+              return retry(timeoutError, attempt);
+            }
+            throw timeoutError;
+          }
+          throw new HttpError('Request cancelled', 0, null, { url, ...fetchOptions }, HttpErrorCode.CANCELED);
+        }
+        
+        // Network failures (see dispatchRequest) can be retried
+        if (error.code === HttpErrorCode.NETWORK && this.shouldRetry(error, attempt, retryPolicy, config)) {
+          return retry(error, attempt);
+        }
+        
+        throw error;
+      } finally {
+        clearTimeout(attemptTimeoutId);
+        unlinkAttempt();
+      }
+    };
+    
+    const run = async () => {
+      // Deadline across all attempts
+      const totalTimeoutId = config.totalTimeout ? setTimeout(() => {
+        totalTimedOut = true;
+        transportController.abort();
+      }, config.totalTimeout) : null;
+      
+      try {
+        let outcome;
+        let failed = false;
+        try {
+          outcome = await executeRequest(1);
+        } catch (error) {
+          outcome = error;
+          failed = true;
+        }
+        
+        // Response interceptors run outside the transport's error handling, so an error thrown by
+        // one `fulfilled` only reaches the `rejected` handlers after it
+        const result = await this.runInterceptors(this.interceptors.response, outcome, config, failed);
+        if (useCache) {
+          this.cache.set(cacheKey, result, config.cacheTTL, {
+            transformResponse: config.transformResponse,
+            validate: config.validate,
+          });
+        }
+        return result;
+      } finally {
+        clearTimeout(totalTimeoutId);
+      }
+    };
+    
+    try {
+      if (!dedupeKey) {
+        return await run();
+      }
+      
+      let flight = this.inflight.get(dedupeKey);
+      if (!flight) {
+        flight = { controller: transportController, subscribers: 0, config, promise: run() };
+        this.inflight.set(dedupeKey, flight);
+        flight.promise
+          .catch(() => {})
+          .finally(() => {
+            if (this.inflight.get(dedupeKey) === flight) {
+              this.inflight.delete(dedupeKey);
+            }
+          });
+      }
+      
+      return await this.joinInflight(dedupeKey, flight, abortController, { url, ...fetchOptions });
+    } finally {
+      if (unlinkSignal) unlinkSignal();
+      this.untrackRequest(requestId);
+      this.state.pendingRequests--;
+      this.state.loading = this.state.pendingRequests > 0;
+    }
+  }
+
+  /**
+   * Set the access token header from `auth.getAccessToken`, waiting for any pending refresh
+   * @param {Object} headers - Headers object to update
+   * @returns {Promise<number>} - Refresh generation the token belongs to
+   */
+  async applyAuth(headers) {
+    const { auth } = this.config;
+    
+    if (this.authRefresh) {
+      try {
+        await this.authRefresh;
+      } catch (error) {
+        const authError = new HttpError('Authentication refresh failed', HttpStatus.UNAUTHORIZED, null, null);
+        authError.cause = error;
+        throw authError;
+      }
+    }
+    
+    const generation = this.authGeneration;
+    const token = auth.getAccessToken ? await auth.getAccessToken() : null;
+    if (token) {
+      headers['Authorization'] = `${auth.scheme || 'Bearer'} ${token}`;
+    }
+    return generation;
+  }
+
+  /**
+   * Check whether an error should trigger a token refresh
+   * @param {Error} error - The request error
+   * @returns {boolean}
+   */
+  shouldRefreshAuth(error) {
+    const { auth } = this.config;
+    if (!auth || !auth.refreshToken) return false;
+    
+    return auth.shouldRefresh
+      ? !!auth.shouldRefresh(error)
+      : error.status === HttpStatus.UNAUTHORIZED;
+  }
+
+  /**
+   * Run a single token refresh shared by every request that failed with the old token
+   * @param {Error} error - The error that triggered the refresh
+   * @param {number} generation - Refresh generation of the token the request was sent with
+   * @returns {Promise<void>} - Rejects with an HttpError if the refresh fails
+   */
+  async refreshAuth(error, generation) {
+    // Another request already refreshed the token since this one was sent
+    if (generation !== this.authGeneration && !this.authRefresh) return;
+    
+    if (!this.authRefresh) {
+      this.state.refreshingAuth = true;
+      this.authRefresh = (async () => {
+        try {
+          await this.config.auth.refreshToken(error);
+          this.authGeneration++;
+        } finally {
+          this.authRefresh = null;
+          this.state.refreshingAuth = false;
+        }
+      })();
+    }
+    
+    try {
+      await this.authRefresh;
+    } catch (refreshError) {
+      const authError = new HttpError('Authentication refresh failed', error.status, error.response, error.request);
+      authError.cause = refreshError;
+      throw authError;
+    }
+  }
+
+  /**
+   * Send a request with the access token, refreshing it and replaying once on 401.
+   * Used by upload() and download(); request() applies the same steps inside its retry loop.
+   * @param {Object} headers - Request headers (updated in place)
+   * @param {Function} send - Function (headers) => Promise performing the request
+   * @param {boolean} [auth] - Pass false to skip auth handling for this request
+   * @returns {Promise<any>} - Result of send()
+   */
+  async sendWithAuth(headers, send, auth) {
+    if (!this.config.auth || auth === false) {
+      return send(headers);
+    }
+    
+    const generation = await this.applyAuth(headers);
+    try {
+      return await send(headers);
+    } catch (error) {
+      if (!this.shouldRefreshAuth(error)) throw error;
+      
+      await this.refreshAuth(error, generation);
+      await this.applyAuth(headers);
+      return send(headers);
+    }
+  }
+
+  /**
+   * Resolve the effective retry policy for a request
+   * @param {Object} config - Request configuration
+   * @returns {Object} - Retry policy
+   */
+  resolveRetryPolicy(config) {
+    const policy = {
+      ...DEFAULT_RETRY_POLICY,
+      retries: config.retries,
+      delay: config.retryDelay,
+      ...config.retryPolicy,
+    };
+    
+    if (typeof policy.retryOn !== 'function') {
+      policy.retryOn = { ...DEFAULT_RETRY_POLICY.retryOn, ...policy.retryOn };
+    }
+    
+    return policy;
+  }
+
+  /**
+   * Decide whether a failed attempt should be retried
+   * @param {HttpError} error - Status error, timeout (408) or network error (code ENETWORK)
+   * @param {number} attempt - Number of the attempt that failed (1-based)
+   * @param {Object} policy - Resolved retry policy
+   * @param {Object} config - Request configuration
+   * @returns {boolean}
+   */
+  shouldRetry(error, attempt, policy, config) {
+    if (attempt > policy.retries) return false;
+    
+    if (typeof policy.retryOn === 'function') {
+      return !!policy.retryOn(error, { attempt, config });
+    }
+    
+    const { statuses, methods } = policy.retryOn;
+    if (!methods.includes(config.method.toUpperCase())) return false;
+    
+    if (error.code === HttpErrorCode.NETWORK) return true;
+    return error.isHttpError && statuses.includes(error.status);
+  }
+
+  /**
+   * Compute the delay before the next attempt
+   * @param {Error} error - The error that triggered the retry
+   * @param {number} attempt - Number of the attempt that failed (1-based)
+   * @param {Object} policy - Resolved retry policy
+   * @returns {number} - Delay in milliseconds
+   */
+  getRetryDelay(error, attempt, policy) {
+    if (policy.respectRetryAfter && error.response?.headers) {
+      const retryAfter = parseRetryAfter(error.response.headers['retry-after']);
+      if (retryAfter !== null) {
+        return Math.min(retryAfter, policy.maxDelay);
+      }
+    }
+    
+    const backoff = Math.min(policy.delay * Math.pow(policy.factor, attempt - 1), policy.maxDelay);
+    return Math.round(backoff * (1 - policy.jitter * Math.random()));
+  }
+
+  /**
+   * Serialize a request body according to its Content-Type.
+   * Native bodies (FormData, URLSearchParams, Blob, ArrayBuffer, typed arrays, streams) are sent as they are.
+   * @param {any} body - Request body
+   * @param {Object} headers - Request headers (Content-Type may be removed)
+   * @returns {any} - Body to send
+   */
+  serializeBody(body, headers) {
+    const contentTypeKey = findHeaderKey(headers, 'Content-Type');
+    const mediaType = contentTypeKey ? getMediaType(headers[contentTypeKey]) : '';
+    
+    let serialized = body;
+    if (!isNativeBody(body) && body !== null && typeof body === 'object') {
+      const serializer = this.serializers[mediaType] || this.serializers['application/json'];
+      serialized = serializer(body, headers);
+    }
+    
+    if (contentTypeKey && isNativeBody(serialized)) {
+      // Remove Content-Type for FormData (browser sets it with boundary),
+      // and the JSON default for other native bodies so fetch can derive it
+      if (serialized instanceof FormData || mediaType === 'application/json') {
+        delete headers[contentTypeKey];
+      }
+    }
+    
+    return serialized;
+  }
+
+  /**
+   * Run the transformResponse pipeline, then the validate option, on a successful response
+   * @param {Object} response - Response object, its data is replaced
+   * @param {Object} config - Request config
+   * @returns {Promise<Object>} - The response
+   * @throws {HttpValidationError} - If the data fails validation
+   */
+  async transformResponse(response, config) {
+    for (const transform of config.transformResponse) {
+      response.data = await transform(response.data, response);
+    }
+    
+    // Bodiless responses (HEAD, 204...) have nothing to validate
+    const hasBody = config.method.toUpperCase() !== 'HEAD' && !NULL_BODY_STATUSES.includes(response.status);
+    if (config.validate && hasBody) {
+      const result = await runValidator(config.validate, response.data, response);
+      if (result.issues) {
+        throw new HttpValidationError('Response validation failed', result.issues, response, response.request);
+      }
+      response.data = result.value;
+    }
+    
+    return response;
+  }
+
+  /**
+   * Build the key identifying identical GET/HEAD requests
+   * @param {string} method - HTTP method
+   * @param {string} url - Full URL (including query string)
+   * @param {Object} headers - Request headers
+   * @param {string|null} responseType - Requested response type (null when detected)
+   * @returns {string} - Deduplication key
+   */
+  dedupeKey(method, url, headers = {}, responseType = null) {
+    const relevantHeaders = Object.entries(headers)
+      .filter(([key, value]) => value !== undefined && !DEDUPE_IGNORED_HEADERS.includes(key.toLowerCase()))
+      .map(([key, value]) => `${key.toLowerCase()}:${value}`)
+      .sort();
+    return `${method} ${url} ${responseType ?? ''} ${relevantHeaders.join('\n')}`;
+  }
+
+  /**
+   * Subscribe to a shared in-flight request.
+   * The shared fetch is only aborted once every subscriber has cancelled.
+   * @param {string} key - Deduplication key
+   * @param {Object} flight - { controller, subscribers, config, promise }
+   * @param {AbortController} abortController - The subscriber's own controller
+   * @param {Object} request - Request info for errors
+   * @returns {Promise<Object>} - Shared response object
+   */
+  joinInflight(key, flight, abortController, request) {
+    flight.subscribers++;
+    
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      
+      const leave = () => {
+        settled = true;
+        abortController.signal.removeEventListener('abort', onAbort);
+        flight.subscribers--;
+      };
+      
+      const onAbort = () => {
+        if (settled) return;
+        leave();
+        if (flight.subscribers === 0) {
+          if (this.inflight.get(key) === flight) {
+            this.inflight.delete(key);
+          }
+          flight.controller.abort();
+        }
+        reject(new HttpError('Request cancelled', 0, null, request, HttpErrorCode.CANCELED));
+      };
+      
+      if (abortController.signal.aborted) {
+        onAbort();
+        return;
+      }
+      abortController.signal.addEventListener('abort', onAbort);
+      
+      flight.promise.then(
+        (response) => {
+          if (settled) return;
+          leave();
+          resolve(response);
+        },
+        (error) => {
+          if (settled) return;
+          leave();
+          reject(error);
+        }
+      );
+    });
+  }
+
+  /**
+   * Refresh a cached entry in the background
+   * @param {string} key - Cache key
+   * @param {Object} options - Original request options
+   */
+  revalidate(key, options) {
+    const entry = this.cache.entry(key);
+    if (entry.state.revalidating) return;
+    
+    entry.state.revalidating = true;
+    this.state.revalidating++;
+    
+    this.request({ ...options, cache: 'reload' })
+      .catch(() => {
+        // Keep serving stale data; the error is already reflected in state
+      })
+      .finally(() => {
+        entry.state.revalidating = false;
+        this.state.revalidating--;
+      });
+  }
+
+  /**
+   * Get the reactive cache state for a request (for binding stale data in templates)
+   * @param {string} url - Endpoint URL
+   * @param {Object} options - Request options (method, params)
+   * @returns {Object} - Reactive { data, status, updatedAt, stale, revalidating }
+   */
+  cacheState(url, options = {}) {
+    const key = this.cache.key(
+      options.method || 'GET',
+      this.buildURL(
+        resolvePath(url, options.pathParams),
+        options.params,
+        options.paramsSerializer || this.config.paramsSerializer,
+        options.baseURL ?? this.config.baseURL
+      ),
+      options.responseType ?? this.config.responseType
+    );
+    return this.cache.entry(key).state;
+  }
+
+  /**
+   * Invalidate cached responses
+   * @param {string|RegExp|Function} pattern - URL substring, RegExp or predicate(key, entry)
+   * @returns {number} - Number of invalidated entries
+   */
+  invalidate(pattern) {
+    return this.cache.invalidate(pattern);
+  }
+
+  /**
+   * Clear the whole response cache
+   * @returns {ZogHttpClient} - Returns this for chaining
+   */
+  clearCache() {
+    this.cache.clear();
+    return this;
+  }
+
+  /**
+   * GET request
+   * @param {string} url - Endpoint URL
+   * @param {Object} options - Additional options (params, headers, etc.)
+   * @returns {Promise<Object>} - Response data
+   */
+  get(url, options = {}) {
+    return this.request({ ...options, method: 'GET', url });
+  }
+
+  /**
+   * POST request
+   * @param {string} url - Endpoint URL
+   * @param {Object} body - Request body
+   * @param {Object} options - Additional options
+   * @returns {Promise<Object>} - Response data
+   */
+  post(url, body = {}, options = {}) {
+    return this.request({ ...options, method: 'POST', url, body });
+  }
+
+  /**
+   * PUT request
+   * @param {string} url - Endpoint URL
+   * @param {Object} body - Request body
+   * @param {Object} options - Additional options
+   * @returns {Promise<Object>} - Response data
+   */
+  put(url, body = {}, options = {}) {
+    return this.request({ ...options, method: 'PUT', url, body });
+  }
+
+  /**
+   * PATCH request
+   * @param {string} url - Endpoint URL
+   * @param {Object} body - Request body
+   * @param {Object} options - Additional options
+   * @returns {Promise<Object>} - Response data
+   */
+  patch(url, body = {}, options = {}) {
+    return this.request({ ...options, method: 'PATCH', url, body });
+  }
+
+  /**
+   * DELETE request
+   * @param {string} url - Endpoint URL
+   * @param {Object} options - Additional options
+   * @returns {Promise<Object>} - Response data
+   */
+  delete(url, options = {}) {
+    return this.request({ ...options, method: 'DELETE', url });
+  }
+
+  /**
+   * HEAD request
+   * @param {string} url - Endpoint URL
+   * @param {Object} options - Additional options
+   * @returns {Promise<Object>} - Response headers
+   */
+  head(url, options = {}) {
+    return this.request({ ...options, method: 'HEAD', url });
+  }
+
+  /**
+   * OPTIONS request
+   * @param {string} url - Endpoint URL
+   * @param {Object} options - Additional options
+   * @returns {Promise<Object>} - Response data
+   */
+  options(url, options = {}) {
+    return this.request({ ...options, method: 'OPTIONS', url });
+  }
+
+  /**
+   * Send an upload or download through a transport adapter, with the request timeout
+   * @param {Function} adapter - Transport adapter
+   * @param {Object} request - Adapter request (the signal is added here)
+   * @param {Object} config - Request config, attached to the response
+   * @param {string} label - 'Upload' or 'Download', used in error messages
+   * @param {AbortSignal} signal - Signal cancelling the transfer
+   * @returns {Promise<Object>} - Response object
+   */
+  async sendTransfer(adapter, request, config, label, signal) {
+    const controller = new AbortController();
+    const unlink = this.linkSignal(signal, controller);
+    const timeout = config.timeout ?? this.config.timeout;
+    let timedOut = false;
+    const timeoutId = timeout ? setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout) : null;
+    
+    const requestInfo = { url: request.url, method: request.method };
+    try {
+      const response = await adapter({ ...request, signal: controller.signal });
+      return {
+        data: null,
+        statusText: '',
+        headers: {},
+        ...response,
+        config,
+        request: requestInfo,
+      };
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw timedOut
+          ? new HttpError(`${label} timeout`, 408, null, requestInfo, HttpErrorCode.TIMEOUT)
+          : new HttpError(`${label} cancelled`, 0, null, requestInfo, HttpErrorCode.CANCELED);
+      }
+      if (error.code === HttpErrorCode.NETWORK) {
+        const networkError = new HttpError(`Network error during ${label.toLowerCase()}`, 0, null, requestInfo, HttpErrorCode.NETWORK);
+        networkError.cause = error.cause ?? error;
+        throw networkError;
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+      unlink();
+    }
+  }
+
+  /**
+   * Upload file(s) with progress tracking
+   * @param {string} url - Upload endpoint URL
+   * @param {File|File[]|FormData} files - File(s) to upload
+   * @param {Object} options - Upload options: { fieldName, additionalData, headers, onProgress, onComplete, onError },
+   *   file checks { accept, maxSize, maxFiles, validateFile }, preprocess steps and checksum, plus request options
+   * @returns {Object} - { promise, tracker, abort }
+   */
+  upload(url, files, options = {}) {
+    // A chunk size switches to chunked, resumable uploads
+    if (options.chunkSize) {
+      return this.uploadChunked(url, files, options);
+    }
+    
+    const tracker = new UploadTracker(this.reactive);
+    const abortController = new AbortController();
+    const requestId = this.generateRequestId();
+    this.trackRequest(requestId, abortController, options);
+    
+    const {
+      fieldName = 'file',
+      additionalData = {},
+      headers = {},
+      accept,
+      maxSize,
+      maxFiles,
+      validateFile,
+      preprocess,
+      checksum,
+      onProgress,
+      onComplete,
+      onError,
+      ...restOptions
+    } = options;
+    
+    // Build FormData
+    const buildForm = (prepared) => {
+      if (prepared instanceof FormData) return prepared;
+      
+      const formData = new FormData();
+      if (Array.isArray(prepared)) {
+        prepared.forEach((file, index) => {
+          formData.append(`${fieldName}[${index}]`, file);
+        });
+      } else {
+        formData.append(fieldName, prepared);
+      }
+      
+      // Add additional data
+      for (const [key, value] of Object.entries(additionalData)) {
+        if (value !== undefined && value !== null) {
+          formData.append(key, typeof value === 'object' ? JSON.stringify(value) : value);
+        }
+      }
+      return formData;
+    };
+    
+    const send = async (requestHeaders) => {
+      // Without an explicit adapter, uploads use XHR, which can report upload progress
+      const adapter = this.getTransport(config.adapter ?? this.config.adapter, true);
+      const response = await this.sendTransfer(adapter, {
+        url: fullURL,
+        method: 'POST',
+        headers: requestHeaders,
+        body: config.body,
+        credentials: (config.withCredentials ?? this.config.withCredentials) ? 'include' : 'same-origin',
+        responseType: config.responseType,
+        onUploadProgress: ({ loaded, total }) => {
+          tracker.update(loaded, total);
+          if (onProgress) {
+            onProgress({
+              loaded,
+              total,
+              progress: tracker.state.progress,
+              speed: tracker.state.speed,
+              remainingTime: tracker.state.remainingTime,
+            });
+          }
+        },
+      }, config, 'Upload', abortController.signal);
+      
+      if (response.status < 200 || response.status > 299) {
+        throw new HttpError(
+          response.data?.message || response.statusText || 'Upload failed',
+          response.status,
+          response,
+          { url, method: 'POST' }
+        );
+      }
+      
+      return response;
+    };
+    
+    // Set headers (excluding Content-Type for FormData)
+    const mergedHeaders = { ...this.config.headers, ...headers };
+    delete mergedHeaders['Content-Type']; // Let browser set it
+    
+    let config;
+    let fullURL;
+    
+    // Combine the caller's own signal with the client's controller
+    const unlinkSignal = restOptions.signal ? this.linkSignal(restOptions.signal, abortController) : null;
+    
+    // The total is known once the files are prepared
+    tracker.start(0);
+    
+    const promise = (async () => {
+      try {
+        // Files are checked and preprocessed before anything is sent
+        const prepared = await prepareUploadFiles(
+          files,
+          { accept, maxSize, maxFiles, validateFile, preprocess, checksum },
+          { url, method: 'POST' }
+        );
+        if (abortController.signal.aborted) {
+          throw new HttpError('Upload cancelled', 0, null, { url, method: 'POST' }, HttpErrorCode.CANCELED);
+        }
+        if (checksum) {
+          mergedHeaders[checksum === true ? DEFAULT_CHECKSUM_HEADER : checksum] = prepared.checksums.join(', ');
+        }
+        
+        const formData = buildForm(prepared.files);
+        
+        // Calculate total size
+        let totalSize = 0;
+        for (const [, value] of formData.entries()) {
+          if (value instanceof Blob) {
+            totalSize += value.size;
+          } else if (typeof value === 'string') {
+            totalSize += new Blob([value]).size;
+          }
+        }
+        tracker.start(totalSize);
+        
+        // Request interceptors may change the URL, headers and form
+        config = await this.runRequestInterceptors({ ...restOptions, method: 'POST', url, headers: mergedHeaders, body: formData });
+        fullURL = this.buildURL(config.url, config.params);
+        
+        // Interceptors run as in request(): transfer errors go to the error interceptors
+        let outcome;
+        let failed = false;
+        try {
+          outcome = await this.sendWithAuth(config.headers, send, config.auth);
+        } catch (error) {
+          outcome = error;
+          failed = true;
+        }
+        const response = await this.runInterceptors(this.interceptors.response, outcome, config, failed);
+        
+        tracker.complete();
+        if (onComplete) {
+          onComplete(response);
+        }
+        return response;
+      } catch (error) {
+        tracker.fail(error);
+        if (onError) onError(error);
+        throw error;
+      } finally {
+        if (unlinkSignal) unlinkSignal();
+        this.untrackRequest(requestId);
+      }
+    })();
+    
+    return {
+      promise,
+      tracker: tracker.state,
+      abort: () => abortController.abort(),
+      requestId,
+    };
+  }
+
+  /**
+   * Upload a single file in chunks, retrying failed chunks, with pause/resume.
+   * Each chunk is a request() of its own, so interceptors, auth and adapters apply.
+   * @param {string} url - Upload endpoint URL (for tus, the creation endpoint)
+   * @param {File|Blob} file - File to upload
+   * @param {Object} options - { chunkSize, protocol: 'content-range' | 'tus', method, uploadUrl, metadata,
+   *   chunkRetries, retryDelay, headers, onProgress, onUploadUrl, onComplete, onError }, the upload() file options
+   *   (accept, maxSize, maxFiles, validateFile, preprocess, checksum) plus request options
+   * @returns {Object} - { promise, tracker, abort, pause, resume, requestId, uploadUrl }
+   */
+  uploadChunked(url, file, options = {}) {
+    if (typeof Blob === 'undefined' || !(file instanceof Blob)) {
+      throw new Error('[ZogHttp] Chunked uploads take a single File or Blob');
+    }
+    
+    const tracker = new UploadTracker(this.reactive);
+    const abortController = new AbortController();
+    const requestId = this.generateRequestId();
+    this.trackRequest(requestId, abortController, options);
+    
+    const {
+      chunkSize = DEFAULT_CHUNK_SIZE,
+      protocol = 'content-range',
+      method = 'POST',
+      uploadUrl = null,
+      metadata = {},
+      chunkRetries = 3,
+      retryDelay = this.config.retryDelay,
+      headers = {},
+      accept,
+      maxSize,
+      maxFiles,
+      validateFile,
+      preprocess,
+      checksum,
+      onProgress,
+      onUploadUrl,
+      onComplete,
+      onError,
+      ...restOptions
+    } = options;
+    
+    if (!['content-range', 'tus'].includes(protocol)) {
+      throw new Error(`[ZogHttp] Unknown upload protocol '${protocol}'`);
+    }
+    
+    // preprocess may replace the file before the upload starts
+    let size = file.size;
+    let checksumHeaders = {};
+    let offset = 0;
+    let finished = false;
+    let lastResponse = null;
+    let paused = false;
+    let interrupted = false;
+    let resumeWaiter = null;
+    let chunkController = null;
+    
+    const cancelledError = () => new HttpError('Upload cancelled', 0, null, { url, method }, HttpErrorCode.CANCELED);
+    
+    // Overall progress across chunks
+    const report = (loaded) => {
+      tracker.update(loaded, size);
+      if (onProgress) {
+        onProgress({
+          loaded,
+          total: size,
+          progress: tracker.state.progress,
+          speed: tracker.state.speed,
+          remainingTime: tracker.state.remainingTime,
+        });
+      }
+    };
+    
+    // Send one request of the upload; pause() and abort() cancel it
+    const send = async (request) => {
+      chunkController = new AbortController();
+      const unlink = this.linkSignal(abortController.signal, chunkController);
+      try {
+        return await this.request({
+          ...restOptions,
+          ...request,
+          headers: { ...headers, ...checksumHeaders, ...request.headers },
+          signal: chunkController.signal,
+          retries: 0,
+          cache: false,
+          dedupe: false,
+        });
+      } finally {
+        unlink();
+        chunkController = null;
+      }
+    };
+    
+    const chunkBody = () => file.slice(offset, Math.min(offset + chunkSize, size));
+    const onChunkProgress = (start) => ({ loaded }) => report(Math.min(start + loaded, size));
+    
+    const tusHeaders = { 'Tus-Resumable': TUS_VERSION };
+    const handle = {
+      tracker: tracker.state,
+      requestId,
+      uploadUrl,
+    };
+    
+    // Steps: upload the next chunk (or create the tus upload), and find where to continue after an interruption
+    const steps = protocol === 'tus' ? {
+      step: async () => {
+        if (!handle.uploadUrl) {
+          const entries = Object.entries({ filename: file.name, filetype: file.type, ...metadata })
+            .filter(([, value]) => value !== undefined && value !== null && value !== '')
+            .map(([key, value]) => `${key} ${toBase64(new TextEncoder().encode(String(value)))}`);
+          lastResponse = await send({
+            method: 'POST',
+            url,
+            headers: {
+              ...tusHeaders,
+              'Upload-Length': String(size),
+              ...(entries.length ? { 'Upload-Metadata': entries.join(',') } : {}),
+            },
+          });
+          
+          const location = lastResponse.headers.location;
+          if (!location) {
+            throw new HttpError('Upload creation response has no Location header', lastResponse.status, lastResponse, { url, method: 'POST' });
+          }
+          handle.uploadUrl = resolveLocation(location, this.buildURL(url, {}, undefined, restOptions.baseURL ?? this.config.baseURL));
+          if (onUploadUrl) onUploadUrl(handle.uploadUrl);
+          finished = size === 0;
+          return;
+        }
+        
+        const start = offset;
+        const body = chunkBody();
+        lastResponse = await send({
+          method: 'PATCH',
+          url: handle.uploadUrl,
+          body,
+          headers: {
+            ...tusHeaders,
+            'Upload-Offset': String(start),
+            'Content-Type': 'application/offset+octet-stream',
+          },
+          onUploadProgress: onChunkProgress(start),
+        });
+        
+        const serverOffset = parseInt(lastResponse.headers['upload-offset'], 10);
+        offset = Number.isNaN(serverOffset) ? start + body.size : serverOffset;
+        finished = offset >= size;
+      },
+      sync: async () => {
+        if (!handle.uploadUrl) return;
+        const response = await send({ method: 'HEAD', url: handle.uploadUrl, headers: tusHeaders });
+        offset = parseInt(response.headers['upload-offset'], 10) || 0;
+        finished = offset >= size && size > 0;
+      },
+    } : {
+      step: async () => {
+        const start = offset;
+        const body = chunkBody();
+        lastResponse = await send({
+          method,
+          url,
+          body,
+          headers: {
+            'Content-Type': 'application/octet-stream',
+            'Content-Range': size === 0 ? 'bytes */0' : `bytes ${start}-${start + body.size - 1}/${size}`,
+          },
+          onUploadProgress: onChunkProgress(start),
+        });
+        
+        offset = start + body.size;
+        finished = offset >= size;
+      },
+      // The current chunk is sent again from its start
+      sync: async () => {},
+    };
+    
+    const waitWhilePaused = () => new Promise((resolve, reject) => {
+      if (!paused) {
+        resolve();
+        return;
+      }
+      const onAbort = () => reject(cancelledError());
+      abortController.signal.addEventListener('abort', onAbort, { once: true });
+      
+      // resume() drops the abort listener, so pausing often doesn't pile them up
+      resumeWaiter = () => {
+        abortController.signal.removeEventListener('abort', onAbort);
+        resolve();
+      };
+    });
+    
+    // Combine the caller's own signal with the client's controller
+    const unlinkSignal = restOptions.signal ? this.linkSignal(restOptions.signal, abortController) : null;
+    
+    tracker.start(file.size);
+    
+    const promise = (async () => {
+      try {
+        const prepared = await prepareUploadFiles(
+          file,
+          { accept, maxSize, maxFiles, validateFile, preprocess, checksum },
+          { url, method }
+        );
+        if (abortController.signal.aborted) throw cancelledError();
+        file = prepared.files;
+        size = file.size;
+        if (checksum) {
+          checksumHeaders = { [checksum === true ? DEFAULT_CHECKSUM_HEADER : checksum]: prepared.checksums[0] };
+        }
+        tracker.start(size);
+        
+        // tus uploads given an uploadUrl continue where the server left off
+        let needsSync = Boolean(handle.uploadUrl);
+        let failures = 0;
+        
+        while (!finished) {
+          await waitWhilePaused();
+          try {
+            if (needsSync) {
+              await steps.sync();
+              needsSync = false;
+              report(offset);
+              if (finished) break;
+            }
+            await steps.step();
+            report(offset);
+            failures = 0;
+            interrupted = false;
+          } catch (error) {
+            if (abortController.signal.aborted) throw cancelledError();
+            
+            // pause() cancelled the request; continue after resume()
+            if (interrupted) {
+              interrupted = false;
+              needsSync = true;
+              continue;
+            }
+            
+            if (failures >= chunkRetries || !this.isRetryableChunkError(error, protocol)) throw error;
+            failures++;
+            await abortableDelay(retryDelay * 2 ** (failures - 1), abortController.signal).catch(() => {
+              throw cancelledError();
+            });
+            needsSync = true;
+          }
+        }
+        
+        tracker.complete();
+        if (onComplete) {
+          onComplete(lastResponse);
+        }
+        return lastResponse;
+      } catch (error) {
+        tracker.fail(error);
+        if (onError) onError(error);
+        throw error;
+      } finally {
+        if (unlinkSignal) unlinkSignal();
+        this.untrackRequest(requestId);
+      }
+    })();
+    
+    return Object.assign(handle, {
+      promise,
+      abort: () => abortController.abort(),
+      pause: () => {
+        if (paused || finished || abortController.signal.aborted) return;
+        paused = true;
+        tracker.pause();
+        if (chunkController) {
+          interrupted = true;
+          chunkController.abort();
+        }
+      },
+      resume: () => {
+        if (!paused) return;
+        paused = false;
+        tracker.resume();
+        if (resumeWaiter) {
+          resumeWaiter();
+          resumeWaiter = null;
+        }
+      },
+    });
+  }
+
+  /**
+   * Upload many files, one request each, a few at a time
+   * @param {string} url - Upload endpoint URL
+   * @param {File[]|FileList} files - Files to upload
+   * @param {Object} options - { concurrency, fieldName, additionalData, autoStart, onFileComplete, onFileError, onComplete }
+   *   plus upload() options
+   * @returns {UploadQueue} - Queue with reactive `state` and pause/resume/retryFailed/cancel/cancelAll
+   */
+  uploadQueue(url, files, options = {}) {
+    return new UploadQueue(this, url, files, options);
+  }
+
+  /**
+   * Check whether a failed chunk request is worth sending again
+   * @param {HttpError} error - Error from the chunk request
+   * @param {string} protocol - 'content-range' or 'tus'
+   * @returns {boolean}
+   */
+  isRetryableChunkError(error, protocol) {
+    if (error.code === HttpErrorCode.NETWORK || error.code === HttpErrorCode.TIMEOUT) return true;
+    
+    // tus answers 409 when the offset is stale; the retry asks for the current one
+    if (protocol === 'tus' && error.status === 409) return true;
+    return DEFAULT_RETRY_POLICY.retryOn.statuses.includes(error.status);
+  }
+
+  /**
+   * Parse XHR response headers
+   * @param {string} headersString - Raw headers string
+   * @returns {Object} - Parsed headers object
+   */
+  parseXHRHeaders(headersString) {
+    return parseRawHeaders(headersString);
+  }
+
+  /**
+   * Download file with progress
+   * @param {string} url - Download URL
+   * @param {Object} options - Download options
+   * @returns {Object} - { promise, tracker, abort }
+   */
+  download(url, options = {}) {
+    const tracker = new UploadTracker(this.reactive); // Reuse tracker for download
+    const abortController = new AbortController();
+    const requestId = this.generateRequestId();
+    this.trackRequest(requestId, abortController, options);
+    
+    const {
+      filename,
+      onProgress,
+      onComplete,
+      onError,
+      ...restOptions
+    } = options;
+    
+    const send = async (requestHeaders) => {
+      const adapter = this.getTransport(config.adapter ?? this.config.adapter);
+      const response = await this.sendTransfer(adapter, {
+        url: fullURL,
+        method: 'GET',
+        headers: requestHeaders,
+        credentials: (config.withCredentials ?? this.config.withCredentials) ? 'include' : 'same-origin',
+        responseType: 'blob',
+        onDownloadProgress: ({ loaded, total }) => {
+          if (total > 0) {
+            tracker.update(loaded, total);
+            if (onProgress) {
+              onProgress({
+                loaded,
+                total,
+                progress: tracker.state.progress,
+                speed: tracker.state.speed,
+                remainingTime: tracker.state.remainingTime,
+              });
+            }
+          }
+        },
+      }, config, 'Download', abortController.signal);
+      
+      if (response.status < 200 || response.status > 299) {
+        throw new HttpError(
+          `Download failed with status ${response.status}`,
+          response.status,
+          response,
+          { url, method: 'GET' }
+        );
+      }
+      
+      return response;
+    };
+    
+    // Request interceptors may change the URL and headers
+    let config = { ...restOptions, method: 'GET', url, headers: { ...this.config.headers, ...options.headers } };
+    let fullURL;
+    
+    // Combine the caller's own signal with the client's controller
+    const unlinkSignal = restOptions.signal ? this.linkSignal(restOptions.signal, abortController) : null;
+    
+    const promise = (async () => {
+      try {
+        config = await this.runRequestInterceptors(config);
+        fullURL = this.buildURL(config.url, config.params);
+        
+        // Interceptors run as in request(), on a response whose data is the Blob
+        tracker.start(0);
+        let outcome;
+        let failed = false;
+        try {
+          outcome = await this.sendWithAuth(config.headers, send, config.auth);
+        } catch (error) {
+          outcome = error;
+          failed = true;
+        }
+        const response = await this.runInterceptors(this.interceptors.response, outcome, config, failed);
+        
+        tracker.complete();
+        const blob = response.data;
+        
+        // Auto-download if filename provided
+        if (filename) {
+          const downloadUrl = URL.createObjectURL(blob);
+          const a = document.createElement('a');
+          a.href = downloadUrl;
+          a.download = filename;
+          document.body.appendChild(a);
+          a.click();
+          document.body.removeChild(a);
+          URL.revokeObjectURL(downloadUrl);
+        }
+        
+        const result = { blob, filename, size: blob.size };
+        
+        if (onComplete) {
+          onComplete(result);
+        }
+        
+        return result;
+        
+      } catch (error) {
+        tracker.fail(error);
+        if (onError) onError(error);
+        throw error;
+      } finally {
+        if (unlinkSignal) unlinkSignal();
+        this.untrackRequest(requestId);
+      }
+    })();
+    
+    return {
+      promise,
+      tracker: tracker.state,
+      abort: () => abortController.abort(),
+      requestId,
+    };
+  }
+
+  /**
+   * Cancel a specific request by ID
+   * @param {string} requestId - Request ID to cancel
+   */
+  cancelRequest(requestId) {
+    const controller = this.abortControllers.get(requestId);
+    if (controller) {
+      controller.abort();
+      this.untrackRequest(requestId);
+    }
+  }
+
+  /**
+   * Cancel every pending request started with a group or tag
+   * @param {string} tag - Group name or tag
+   * @returns {number} - Number of cancelled requests
+   */
+  cancelGroup(tag) {
+    const ids = [...(this.groups.get(tag) || [])];
+    ids.forEach(id => this.cancelRequest(id));
+    return ids.length;
+  }
+
+  /**
+   * Cancel all pending requests
+   */
+  cancelAll() {
+    for (const [id, controller] of this.abortControllers) {
+      controller.abort();
+    }
+    // Cancelled requests settle and update loading/pendingRequests themselves
+    this.abortControllers.clear();
+    this.groups.clear();
+    this.requestTags.clear();
+  }
+
+  /**
+   * Declarative request with reactive data, error and loading state
+   * @param {string|Function} urlOrFn - URL, or a getter returning the URL (falsy to skip)
+   * @param {Object} options - Request options plus { immediate, lazy, initialData, onSuccess, onError }.
+   *   `params` may be a getter; reactive values read by getters trigger a refetch when they change.
+   * @returns {Object} - Reactive { data, error, loading, status, response, refetch, abort, mutate }
+   */
+  useRequest(urlOrFn, options = {}) {
+    return createRequestResource(this, urlOrFn, options);
+  }
+
+  /**
+   * Iterate over the pages of a paginated endpoint
+   * @param {string} url - Endpoint URL
+   * @param {Object} options - Request options plus pagination settings
+   *   ({ strategy, pageParam, sizeParam, startPage, pageSize, offsetParam, limitParam,
+   *   cursorParam, cursorPath, itemsPath, getItems, maxPages })
+   * @returns {AsyncGenerator<Object>} - Yields { items, response, index } per page
+   */
+  async *paginate(url, options = {}) {
+    const paginator = new Paginator(this, url, options);
+    let page;
+    while ((page = await paginator.fetchNext())) {
+      yield page;
+    }
+  }
+
+  /**
+   * Reactive paginated list (infinite scroll / "load more")
+   * @param {string} url - Endpoint URL
+   * @param {Object} options - paginate() options plus { immediate }. `params` may be a getter.
+   * @returns {Object} - Reactive { items, pages, hasMore, loading, error, loadMore, reset }
+   */
+  usePaginatedRequest(url, options = {}) {
+    return createPaginatedResource(this, url, options);
+  }
+
+  /**
+   * Declare API endpoints once and get callable functions back
+   * @param {Object} definitions - Endpoint name -> { method, path, body, params, response } plus
+   *   default request options (headers, timeout, retries, transformResponse...)
+   * @returns {Object} - Endpoint name -> ({ pathParams, params, body, ...options }) => Promise<Object>
+   */
+  defineApi(definitions) {
+    return createApi(this, definitions);
+  }
+
+  /**
+   * Build an API from an OpenAPI 3 document, one method per operationId
+   * @param {Object|string} spec - OpenAPI document, or its JSON source
+   * @param {Object} options - { server } (see openApiDefinitions)
+   * @returns {Object} - operationId -> ({ pathParams, params, headers, body, ...options }) => Promise<Object>
+   */
+  fromOpenApi(spec, options = {}) {
+    return createApi(this, openApiDefinitions(spec, options));
+  }
+
+  /**
+   * Poll an endpoint until a condition is met
+   * @param {string} url - Endpoint URL
+   * @param {Object} options - Request options plus polling settings
+   * @param {number} [options.interval=5000] - Delay between requests in milliseconds
+   * @param {Function} [options.until] - (response) => boolean, stops polling when true
+   * @param {number} [options.maxAttempts=Infinity] - Maximum number of requests
+   * @param {number|Function} [options.backoff=1] - Interval multiplier, or (attempt, interval) => delay
+   * @param {number} [options.maxInterval=Infinity] - Upper bound for the delay when backing off
+   * @param {boolean} [options.immediate=true] - Send the first request right away
+   * @param {boolean} [options.pauseWhenHidden=true] - Pause while the page is hidden
+   * @param {boolean} [options.pauseWhenOffline=true] - Pause while the browser is offline
+   * @returns {Object} - { state, promise, stop, pause, resume, requestId }
+   */
+  poll(url, options = {}) {
+    const {
+      interval = 5000,
+      until,
+      maxAttempts = Infinity,
+      backoff = 1,
+      maxInterval = Infinity,
+      immediate = true,
+      pauseWhenHidden = true,
+      pauseWhenOffline = true,
+      ...requestOptions
+    } = options;
+    
+    // The poll is cancellable like any request (cancelRequest, cancelGroup, cancelAll)
+    const requestId = this.generateRequestId();
+    const controller = new AbortController();
+    this.trackRequest(requestId, controller, options);
+    const unlinkSignal = options.signal ? this.linkSignal(options.signal, controller) : null;
+    const { signal } = controller;
+    
+    const state = this.reactive({
+      data: null,
+      error: null,
+      status: null,
+      response: null,
+      attempts: 0,
+      active: true,
+      paused: false,
+      satisfied: false,
+    });
+    
+    let manuallyPaused = false;
+    let wake = null;
+    const notify = () => {
+      if (wake) wake();
+    };
+    
+    const isIdle = () => manuallyPaused
+      || (pauseWhenHidden && typeof document !== 'undefined' && document.visibilityState === 'hidden')
+      || (pauseWhenOffline && typeof navigator !== 'undefined' && navigator.onLine === false);
+      
+    if (typeof document !== 'undefined') {
+      document.addEventListener('visibilitychange', notify);
+    }
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', notify);
     }
+    signal.addEventListener('abort', notify);
     
-    // Update global state
-    this.state.loading = true;
-    this.state.pendingRequests++;
-    this.state.lastRequest = { url, method: fetchOptions.method, time: Date.now() };
-    this.state.error = null;
+    const waitWhileIdle = async () => {
+      while (isIdle() && !signal.aborted) {
+        state.paused = true;
+        await new Promise(resolve => (wake = resolve));
+        wake = null;
+      }
+      state.paused = false;
+    };
     
-    // Timeout handling
-    const timeoutId = setTimeout(() => {
-      abortController.abort();
-    }, config.timeout);
+    // Stopping ends the wait early; the loop then sees the aborted signal
+    const sleep = (ms) => abortableDelay(ms, signal).catch(() => {});
     
-    // Retry logic wrapper
-    const executeRequest = async (retriesLeft) => {
+    const nextDelay = (delay, attempt) => Math.min(
+      typeof backoff === 'function' ? backoff(attempt, interval) : delay * backoff,
+      maxInterval
+    );
+    
+    const promise = (async () => {
+      let delay = interval;
       try {
-        const response = await fetch(url, fetchOptions);
+        if (!immediate) await sleep(delay);
         
-        // Parse response
-        let data;
-        const contentType = response.headers.get('content-type');
-        
-        if (contentType && contentType.includes('application/json')) {
-          data = await response.json();
-        } else if (contentType && contentType.includes('text/')) {
-          data = await response.text();
-        } else {
-          // Try JSON first, fallback to text
-          const text = await response.text();
+        while (!signal.aborted) {
+          await waitWhileIdle();
+          if (signal.aborted) break;
+          
+          state.attempts++;
           try {
-            data = JSON.parse(text);
-          } catch {
-            data = text;
+            const response = await this.request({
+              method: 'GET',
+              cache: 'no-store',
+              ...requestOptions,
+              url,
+              signal,
+            });
+            state.response = response;
+            state.data = response.data;
+            state.status = response.status;
+            state.error = null;
+            
+            if (until && until(response)) {
+              state.satisfied = true;
+              return response;
+            }
+          } catch (error) {
+            if (signal.aborted) break;
+            state.error = error;
+            state.status = error.status ?? null;
           }
-        }
-        
-        // Build response object
-        const responseObj = {
-          data,
-          status: response.status,
-          statusText: response.statusText,
-          headers: Object.fromEntries(response.headers.entries()),
-          config,
-          request: { url, ...fetchOptions },
-        };
-        
-        // Check for HTTP errors
-        if (!response.ok) {
-          const error = new HttpError(
-            data?.message || response.statusText || `Request failed with status ${response.status}`,
-            response.status,
-            responseObj,
-            { url, ...fetchOptions }
-          );
           
-          // Retry on server errors (5xx)
-          if (response.status >= 500 && retriesLeft > 0) {
-            await new Promise(r => setTimeout(r, config.retryDelay));
-            return executeRequest(retriesLeft - 1);
-          }
+          if (state.attempts >= maxAttempts) break;
           
-          throw error;
+          await sleep(delay);
+          delay = nextDelay(delay, state.attempts);
         }
-        
-        // Run response interceptors
-        return await this.runResponseInterceptors(responseObj);
-        
-      } catch (error) {
-        // Handle abort
-        if (error.name === 'AbortError') {
-          throw new HttpError('Request timeout', 408, null, { url, ...fetchOptions });
+        return null;
+      } finally {
+        if (typeof document !== 'undefined') {
+          document.removeEventListener('visibilitychange', notify);
         }
-        
-        // Handle network errors with retry
-        if (error.name === 'TypeError' && retriesLeft > 0) {
-          await new Promise(r => setTimeout(r, config.retryDelay));
-          return executeRequest(retriesLeft - 1);
+        if (typeof window !== 'undefined') {
+          window.removeEventListener('online', notify);
         }
-        
-        // Run error interceptors
+        if (unlinkSignal) unlinkSignal();
+        this.untrackRequest(requestId);
+        state.active = false;
+        state.paused = false;
+      }
+    })();
+    
+    return {
+      state,
+      promise,
+      stop: () => this.cancelRequest(requestId),
+      pause: () => {
+        manuallyPaused = true;
+      },
+      resume: () => {
+        manuallyPaused = false;
+        notify();
+      },
+      requestId,
+    };
+  }
+
+  /**
+   * Create a scope-bound client whose requests can be cancelled together
+   * @returns {ScopedHttpClient} - Scoped client with its own reactive state
+   */
+  createScope() {
+    return new ScopedHttpClient(this);
+  }
+
+  /**
+   * Create a new instance with merged configuration
+   * @param {Object} config - Configuration to merge
+   * @returns {ZogHttpClient} - New client instance
+   */
+  create(config = {}) {
+    return new ZogHttpClient(
+      { ...this.config, ...config },
+      this.reactive,
+      this.ref,
+      this.effect
+    );
+  }
+}
+
+/**
+ * Build the reactive resource returned by useRequest()
+ * @param {ZogHttpClient|ScopedHttpClient} http - Client used to send requests
+ * @param {string|Function} urlOrFn - URL or URL getter
+ * @param {Object} options - useRequest options
+ * @returns {Object} - Reactive resource
+ */
+function createRequestResource(http, urlOrFn, options) {
+  const {
+    immediate = true,
+    lazy = false,
+    initialData = null,
+    onSuccess,
+    onError,
+    params,
+    ...requestOptions
+  } = options;
+  
+  let current = null;
+  
+  // Read the URL and params; inside an effect this subscribes to the reactive values they use
+  const resolve = () => {
+    const url = typeof urlOrFn === 'function' ? urlOrFn() : urlOrFn;
+    const resolvedParams = typeof params === 'function' ? params() : params;
+    JSON.stringify(resolvedParams); // touch nested values so they are tracked too
+    return { url, params: resolvedParams };
+  };
+  
+  const execute = async ({ url, params: resolvedParams }, overrides = {}) => {
+    if (current) current.abort();
+    if (!url) return null;
+    
+    const request = http.request({
+      method: 'GET',
+      ...requestOptions,
+      url,
+      params: resolvedParams,
+      ...overrides,
+    });
+    current = request;
+    
+    resource.loading = true;
+    resource.error = null;
+    
+    try {
+      const response = await request;
+      if (current !== request) return response;
+      
+      resource.data = response.data;
+      resource.status = response.status;
+      resource.response = response;
+      if (onSuccess) onSuccess(response);
+      return response;
+    } catch (error) {
+      // Superseded or aborted requests don't report errors
+      if (current !== request || error.code === HttpErrorCode.CANCELED) return null;
+      
+      resource.error = error;
+      resource.status = error.status ?? null;
+      if (onError) onError(error);
+      return null;
+    } finally {
+      if (current === request) {
+        current = null;
+        resource.loading = false;
+      }
+    }
+  };
+  
+  const resource = http.reactive({
+    data: typeof initialData === 'function' ? initialData() : initialData,
+    error: null,
+    loading: false,
+    status: null,
+    response: null,
+    
+    /**
+     * Run the request again
+     * @param {Object} [overrides] - Request options for this call only
+     * @returns {Promise<Object|null>} - Response, or null if skipped/failed
+     */
+    refetch: (overrides) => execute(resolve(), overrides),
+    
+    /**
+     * Abort the request in flight
+     */
+    abort: () => {
+      if (current) current.abort();
+    },
+    
+    /**
+     * Replace data locally (e.g. optimistic updates)
+     * @param {any|Function} data - New data, or a function (oldData) => newData
+     * @param {Object} [mutateOptions] - { revalidate: true } to refetch afterwards
+     * @returns {Promise<Object|null>|undefined} - Refetch promise when revalidating
+     */
+    mutate: (data, { revalidate = false } = {}) => {
+      resource.data = typeof data === 'function' ? data(resource.data) : data;
+      return revalidate ? resource.refetch() : undefined;
+    },
+  });
+  
+  const tracked = typeof urlOrFn === 'function' || typeof params === 'function';
+  const fetchNow = immediate && !lazy;
+  
+  if (tracked && http.effect) {
+    // Re-run when reactive values read by the getters change
+    let first = true;
+    http.effect(() => {
+      const resolved = resolve();
+      if (first) {
+        first = false;
+        if (!fetchNow) return;
+      }
+      // Send outside of the effect so reading resource state isn't tracked
+      Promise.resolve().then(() => execute(resolved));
+    });
+  } else if (fetchNow) {
+    execute(resolve());
+  }
+
+  return resource;
+}
+
+/**
+ * Build the reactive list returned by usePaginatedRequest()
+ * @param {ZogHttpClient|ScopedHttpClient} http - Client used to send requests
+ * @param {string} url - Endpoint URL
+ * @param {Object} options - usePaginatedRequest options
+ * @returns {Object} - Reactive paginated list
+ */
+function createPaginatedResource(http, url, options) {
+  const { immediate = true, ...paginatorOptions } = options;
+  const paginator = new Paginator(http, url, paginatorOptions);
+  
+  let pending = null;
+  let controller = null;
+  
+  const list = http.reactive({
+    items: [],
+    pages: 0,
+    hasMore: true,
+    loading: false,
+    error: null,
+    
+    /**
+     * Append the next page to items
+     * @returns {Promise<Object|null>} - The loaded page, or null
+     */
+    loadMore: () => {
+      if (pending) return pending;
+      if (!paginator.hasMore) return Promise.resolve(null);
+      
+      controller = new AbortController();
+      list.loading = true;
+      list.error = null;
+      
+      const request = (async () => {
         try {
-          return await this.runResponseErrorInterceptors(error);
-        } catch (e) {
-          throw e;
+          const page = await paginator.fetchNext({ signal: controller.signal });
+          if (page) {
+            list.items.push(...page.items);
+            list.pages = paginator.pageCount;
+          }
+          return page;
+        } catch (error) {
+          if (error.code !== HttpErrorCode.CANCELED) {
+            list.error = error;
+          }
+          return null;
+        } finally {
+          if (pending === request) {
+            pending = null;
+            list.loading = false;
+            list.hasMore = paginator.hasMore;
+          }
         }
+      })();
+      pending = request;
+      return request;
+    },
+    
+    /**
+     * Drop loaded items and load the first page again
+     * @returns {Promise<Object|null>} - The first page, or null
+     */
+    reset: () => {
+      if (controller) controller.abort();
+      pending = null;
+      paginator.reset();
+      list.items.splice(0, list.items.length);
+      list.pages = 0;
+      list.hasMore = true;
+      list.loading = false;
+      list.error = null;
+      return list.loadMore();
+    },
+  });
+  
+  if (typeof paginatorOptions.params === 'function' && http.effect) {
+    // Start over when reactive params change
+    let first = true;
+    http.effect(() => {
+      JSON.stringify(paginatorOptions.params());
+      if (first) {
+        first = false;
+        if (immediate) Promise.resolve().then(() => list.loadMore());
+        return;
       }
+      Promise.resolve().then(() => list.reset());
+    });
+  } else if (immediate) {
+    list.loadMore();
+  }
+
+  return list;
+}
+
+/**
+ * Build the endpoint functions returned by defineApi()
+ * @param {ZogHttpClient|ScopedHttpClient} http - Client used to send requests
+ * @param {Object} definitions - Endpoint name -> definition
+ * @returns {Object} - Endpoint name -> (input) => Promise<Object>
+ */
+function createApi(http, definitions) {
+  const api = {};
+  
+  for (const [name, definition] of Object.entries(definitions)) {
+    const {
+      method = 'GET',
+      path,
+      body: bodySchema,
+      params: paramsSchema,
+      response: responseSchema,
+      ...defaults
+    } = definition;
+    
+    if (typeof path !== 'string') {
+      throw new Error(`[ZogHttp] Endpoint "${name}" needs a path`);
+    }
+    
+    /**
+     * Call the endpoint
+     * @param {Object} input - { pathParams, params, body } plus per-call request options
+     * @returns {Promise<Object>} - Response data. The promise also has `requestId` and `abort()`
+     */
+    api[name] = (input = {}) => {
+      const { pathParams, params, body, headers, ...options } = input;
+      
+      // With a params schema, missing params are checked too
+      const query = params === undefined && !paramsSchema ? defaults.params : { ...defaults.params, ...params };
+      
+      return http.request({
+        ...defaults,
+        ...options,
+        method,
+        url: path,
+        pathParams,
+        params: query,
+        headers: { ...defaults.headers, ...headers },
+        body,
+        transformRequest: [...toPipeline(defaults.transformRequest), ...toPipeline(options.transformRequest)],
+        transformResponse: [...toPipeline(defaults.transformResponse), ...toPipeline(options.transformResponse)],
+        // The response schema validates the transformed data, unless `validate` is given explicitly
+        validate: 'validate' in options ? options.validate : 'validate' in defaults ? defaults.validate : responseSchema,
+        validateParams: 'validateParams' in options
+          ? options.validateParams
+          : 'validateParams' in defaults ? defaults.validateParams : paramsSchema,
+        // The body schema sees the caller's body, before the client's and the endpoint's transforms
+        validateBody: 'validateBody' in options
+          ? options.validateBody
+          : 'validateBody' in defaults ? defaults.validateBody : bodySchema,
+      });
     };
+  }
+
+  return api;
+}
+
+const OPENAPI_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+
+/**
+ * Follow a local $ref ('#/components/schemas/User') inside an OpenAPI document
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} value - Object that may be a { $ref }
+ * @returns {Object} - Referenced object, or the value itself
+ */
+function resolveRef(spec, value) {
+  const seen = new Set();
+  while (value && typeof value.$ref === 'string' && !seen.has(value.$ref)) {
+    seen.add(value.$ref);
+    if (!value.$ref.startsWith('#/')) {
+      throw new Error(`[ZogHttp] Only local $ref values are supported, got "${value.$ref}"`);
+    }
+    value = value.$ref
+      .slice(2)
+      .split('/')
+      .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+      .reduce((node, part) => node?.[part], spec);
+  }
+  return value;
+}
+
+/**
+ * List the operations of an OpenAPI 3 document
+ * @param {Object|string} spec - OpenAPI document, or its JSON source
+ * @returns {Array<Object>} - { name, method, path, operation, parameters, requestBody }
+ */
+function openApiOperations(spec) {
+  if (typeof spec === 'string') spec = JSON.parse(spec);
+  if (!spec || typeof spec.openapi !== 'string' || !spec.openapi.startsWith('3.')) {
+    throw new Error('[ZogHttp] Expected an OpenAPI 3 document');
+  }
+
+  const operations = [];
+  for (const [path, rawItem] of Object.entries(spec.paths || {})) {
+    const item = resolveRef(spec, rawItem);
+    for (const method of OPENAPI_METHODS) {
+      const operation = item[method];
+      if (!operation) continue;
+      
+      // Operation parameters override path-level ones with the same name and location
+      const parameters = new Map();
+      for (const parameter of [...(item.parameters || []), ...(operation.parameters || [])]) {
+        const resolved = resolveRef(spec, parameter);
+        parameters.set(`${resolved.in}:${resolved.name}`, resolved);
+      }
+      
+      // Operations without an operationId are named after method and path ('get /users/{id}' -> 'getUsersId')
+      const name = operation.operationId || method + path
+        .split(/[^A-Za-z0-9]+/)
+        .filter(Boolean)
+        .map(word => word[0].toUpperCase() + word.slice(1))
+        .join('');
+        
+      operations.push({
+        name,
+        method: method.toUpperCase(),
+        path,
+        operation,
+        parameters: [...parameters.values()],
+        requestBody: resolveRef(spec, operation.requestBody) || null,
+      });
+    }
+  }
+  return operations;
+}
+
+/**
+ * Convert an OpenAPI 3 document into defineApi() definitions
+ * @param {Object|string} spec - OpenAPI document, or its JSON source
+ * @param {Object} options - Import options
+ * @param {number|string|boolean} [options.server=0] - Index into `servers`, a server URL, or false to keep the client's baseURL
+ * @returns {Object} - operationId -> endpoint definition
+ */
+function openApiDefinitions(spec, options = {}) {
+  if (typeof spec === 'string') spec = JSON.parse(spec);
+  const { server = 0 } = options;
+  
+  // Pick the server and fill its variables with their defaults
+  let serverURL = '';
+  if (typeof server === 'string') {
+    serverURL = server;
+  } else if (server !== false && spec.servers?.[server]) {
+    const { url = '', variables = {} } = spec.servers[server];
+    serverURL = url.replace(/\{([^}]+)\}/g, (match, name) => variables[name]?.default ?? match);
+  }
+
+  const definitions = {};
+  for (const { name, method, path, requestBody } of openApiOperations(spec)) {
+    const definition = { method, path };
+    
+    // Absolute servers replace the client's baseURL, relative ones ('/v1') prefix the path
+    if (isAbsoluteURL(serverURL)) {
+      definition.baseURL = serverURL;
+    } else if (serverURL && serverURL !== '/') {
+      definition.path = joinURL(serverURL, path);
+    }
+    
+    // Send bodies with the spec's media type so the matching serializer is used
+    const mediaTypes = Object.keys(requestBody?.content || {});
+    if (mediaTypes.length && !mediaTypes.some(type => getMediaType(type) === 'application/json')) {
+      definition.headers = { 'Content-Type': mediaTypes[0] };
+    }
+    
+    definitions[name] = definition;
+  }
+  return definitions;
+}
+
+let scopeCounter = 0;
+
+/**
+ * Scope-bound client: tags requests with the scope's group and tracks them in its own reactive state
+ */
+class ScopedHttpClient {
+  constructor(client) {
+    this.client = client;
+    this.group = `scope_${++scopeCounter}`;
+    this.disposed = false;
+    this.reactive = client.reactive;
+    this.effect = client.effect;
+    
+    // Per-scope reactive state
+    this.state = client.reactive({
+      loading: false,
+      error: null,
+      pendingRequests: 0,
+    });
+  }
+
+  /**
+   * Add the scope's group to request options
+   * @param {Object} options - Request options
+   * @returns {Object} - Options tagged with the scope group
+   */
+  withScope(options = {}) {
+    return { ...options, tags: [].concat(options.tags ?? [], this.group) };
+  }
+
+  /**
+   * Track a request promise in the scope state
+   * @param {Promise} promise - Request promise
+   * @returns {Promise} - The same promise
+   */
+  track(promise) {
+    // A destroyed scope must not start new work
+    if (this.disposed) {
+      this.cancelAll();
+      return promise;
+    }
+    
+    this.state.loading = true;
+    this.state.pendingRequests++;
+    this.state.error = null;
     
-    try {
-      const result = await executeRequest(config.retries);
-      return result;
-    } finally {
-      clearTimeout(timeoutId);
-      this.abortControllers.delete(requestId);
+    const settle = (error) => {
+      if (this.disposed) return;
       this.state.pendingRequests--;
       this.state.loading = this.state.pendingRequests > 0;
-    }
+      if (error) {
+        this.state.error = error.message;
+      }
+    };
+    promise.then(() => settle(null), settle);
+    
+    return promise;
   }
 
   /**
-   * GET request
+   * Scoped request()
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} - Response data
+   */
+  request(options) {
+    return this.track(this.client.request(this.withScope(options)));
+  }
+
+  /**
+   * Scoped GET request
    * @param {string} url - Endpoint URL
-   * @param {Object} options - Additional options (params, headers, etc.)
+   * @param {Object} options - Additional options
    * @returns {Promise<Object>} - Response data
    */
-  async get(url, options = {}) {
-    return this.request({ ...options, method: 'GET', url });
+  get(url, options = {}) {
+    return this.track(this.client.get(url, this.withScope(options)));
   }
 
   /**
-   * POST request
+   * Scoped POST request
    * @param {string} url - Endpoint URL
    * @param {Object} body - Request body
    * @param {Object} options - Additional options
    * @returns {Promise<Object>} - Response data
    */
-  async post(url, body = {}, options = {}) {
-    return this.request({ ...options, method: 'POST', url, body });
+  post(url, body = {}, options = {}) {
+    return this.track(this.client.post(url, body, this.withScope(options)));
   }
 
   /**
-   * PUT request
+   * Scoped PUT request
    * @param {string} url - Endpoint URL
    * @param {Object} body - Request body
    * @param {Object} options - Additional options
    * @returns {Promise<Object>} - Response data
    */
-  async put(url, body = {}, options = {}) {
-    return this.request({ ...options, method: 'PUT', url, body });
+  put(url, body = {}, options = {}) {
+    return this.track(this.client.put(url, body, this.withScope(options)));
   }
 
   /**
-   * PATCH request
+   * Scoped PATCH request
    * @param {string} url - Endpoint URL
    * @param {Object} body - Request body
    * @param {Object} options - Additional options
    * @returns {Promise<Object>} - Response data
    */
-  async patch(url, body = {}, options = {}) {
-    return this.request({ ...options, method: 'PATCH', url, body });
+  patch(url, body = {}, options = {}) {
+    return this.track(this.client.patch(url, body, this.withScope(options)));
   }
 
   /**
-   * DELETE request
+   * Scoped DELETE request
    * @param {string} url - Endpoint URL
    * @param {Object} options - Additional options
    * @returns {Promise<Object>} - Response data
    */
-  async delete(url, options = {}) {
-    return this.request({ ...options, method: 'DELETE', url });
+  delete(url, options = {}) {
+    return this.track(this.client.delete(url, this.withScope(options)));
   }
 
   /**
-   * HEAD request
+   * Scoped HEAD request
    * @param {string} url - Endpoint URL
    * @param {Object} options - Additional options
    * @returns {Promise<Object>} - Response headers
    */
-  async head(url, options = {}) {
-    return this.request({ ...options, method: 'HEAD', url });
+  head(url, options = {}) {
+    return this.track(this.client.head(url, this.withScope(options)));
   }
 
   /**
-   * OPTIONS request
+   * Scoped OPTIONS request
    * @param {string} url - Endpoint URL
    * @param {Object} options - Additional options
    * @returns {Promise<Object>} - Response data
    */
-  async options(url, options = {}) {
-    return this.request({ ...options, method: 'OPTIONS', url });
+  options(url, options = {}) {
+    return this.track(this.client.options(url, this.withScope(options)));
   }
 
   /**
-   * Upload file(s) with progress tracking
+   * Scoped upload
    * @param {string} url - Upload endpoint URL
    * @param {File|File[]|FormData} files - File(s) to upload
    * @param {Object} options - Upload options
-   * @returns {Object} - { promise, tracker, abort }
+   * @returns {Object} - { promise, tracker, abort, requestId }
    */
   upload(url, files, options = {}) {
-    const tracker = new UploadTracker(this.reactive);
-    const abortController = new AbortController();
-    const requestId = this.generateRequestId();
-    this.abortControllers.set(requestId, abortController);
-    
-    const {
-      fieldName = 'file',
-      additionalData = {},
-      headers = {},
-      onProgress,
-      onComplete,
-      onError,
-      ...restOptions
-    } = options;
+    const handle = this.client.upload(url, files, this.withScope(options));
+    this.track(handle.promise);
+    return handle;
+  }
+
+  /**
+   * Scoped uploadQueue(); files still queued when the scope is destroyed are cancelled
+   * @param {string} url - Upload endpoint URL
+   * @param {File[]|FileList} files - Files to upload
+   * @param {Object} options - uploadQueue options
+   * @returns {UploadQueue} - Upload queue
+   */
+  uploadQueue(url, files, options = {}) {
+    return new UploadQueue(this, url, files, options);
+  }
+
+  /**
+   * Scoped download
+   * @param {string} url - Download URL
+   * @param {Object} options - Download options
+   * @returns {Object} - { promise, tracker, abort, requestId }
+   */
+  download(url, options = {}) {
+    const handle = this.client.download(url, this.withScope(options));
+    this.track(handle.promise);
+    return handle;
+  }
+
+  /**
+   * Scoped useRequest()
+   * @param {string|Function} urlOrFn - URL or URL getter
+   * @param {Object} options - useRequest options
+   * @returns {Object} - Reactive resource
+   */
+  useRequest(urlOrFn, options = {}) {
+    return createRequestResource(this, urlOrFn, options);
+  }
+
+  /**
+   * Scoped paginate()
+   * @param {string} url - Endpoint URL
+   * @param {Object} options - paginate() options
+   * @returns {AsyncGenerator<Object>} - Yields { items, response, index } per page
+   */
+  async *paginate(url, options = {}) {
+    const paginator = new Paginator(this, url, options);
+    let page;
+    while ((page = await paginator.fetchNext())) {
+      yield page;
+    }
+  }
+
+  /**
+   * Scoped usePaginatedRequest()
+   * @param {string} url - Endpoint URL
+   * @param {Object} options - usePaginatedRequest options
+   * @returns {Object} - Reactive paginated list
+   */
+  usePaginatedRequest(url, options = {}) {
+    return createPaginatedResource(this, url, options);
+  }
+
+  /**
+   * Scoped defineApi(): endpoint calls are cancelled when the scope is destroyed
+   * @param {Object} definitions - Endpoint definitions
+   * @returns {Object} - Endpoint functions
+   */
+  defineApi(definitions) {
+    return createApi(this, definitions);
+  }
+
+  /**
+   * Scoped fromOpenApi()
+   * @param {Object|string} spec - OpenAPI document, or its JSON source
+   * @param {Object} options - { server }
+   * @returns {Object} - Endpoint functions
+   */
+  fromOpenApi(spec, options = {}) {
+    return createApi(this, openApiDefinitions(spec, options));
+  }
+
+  /**
+   * Scoped poll(), stopped when the scope is destroyed
+   * @param {string} url - Endpoint URL
+   * @param {Object} options - poll() options
+   * @returns {Object} - { state, promise, stop, pause, resume, requestId }
+   */
+  poll(url, options = {}) {
+    const handle = this.client.poll(url, this.withScope(options));
+    if (this.disposed) handle.stop();
+    return handle;
+  }
+
+  /**
+   * Cancel all pending requests of this scope
+   * @returns {number} - Number of cancelled requests
+   */
+  cancelAll() {
+    return this.client.cancelGroup(this.group);
+  }
+
+  /**
+   * Cancel pending requests and stop updating scope state (called when the scope is destroyed)
+   */
+  dispose() {
+    this.disposed = true;
+    this.cancelAll();
+  }
+}
+
+/**
+ * Compile a mock route path ('/users/:id', '/users/{id}', absolute URL or RegExp) into a matcher
+ * @param {string|RegExp} path - Route path
+ * @param {string} baseURL - Base URL that relative paths are joined to
+ * @returns {Function} - (url without query) => path params object, or null when it doesn't match
+ */
+function compileRoutePath(path, baseURL) {
+  if (path instanceof RegExp) {
+    return (url) => {
+      const match = url.match(path);
+      return match ? { ...match.groups } : null;
+    };
+  }
+  if (path === '*') {
+    return () => ({});
+  }
+
+  const full = isAbsoluteURL(path) || !baseURL ? path : joinURL(baseURL, path);
+  const names = [];
+  const source = full
+    .replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+    .replace(/:([A-Za-z_$][\w$]*)|\{([^}]+)\}/g, (_, colon, brace) => {
+      names.push(colon || brace);
+      return '([^/]+)';
+    });
+  const pattern = new RegExp(`^${source}/?$`);
+  
+  return (url) => {
+    // Without a base URL, relative routes match the path of absolute request URLs
+    const target = isAbsoluteURL(full) || !isAbsoluteURL(url) ? url : url.replace(/^[a-z][a-z\d+\-.]*:\/\/[^/]*/i, '');
+    const match = target.match(pattern);
+    if (!match) return null;
     
-    // Build FormData
-    let formData;
-    if (files instanceof FormData) {
-      formData = files;
+    const pathParams = {};
+    names.forEach((name, index) => {
+      pathParams[name] = decodeURIComponent(match[index + 1]);
+    });
+    return pathParams;
+  };
+}
+
+/**
+ * Read the query string of a URL into an object (repeated keys become arrays)
+ * @param {string} query - Query string without '?'
+ * @returns {Object} - Params object
+ */
+function parseQuery(query) {
+  const params = {};
+  for (const [key, value] of new URLSearchParams(query)) {
+    if (key in params) {
+      params[key] = [].concat(params[key], value);
     } else {
-      formData = new FormData();
-      
-      if (Array.isArray(files)) {
-        files.forEach((file, index) => {
-          formData.append(`${fieldName}[${index}]`, file);
-        });
-      } else {
-        formData.append(fieldName, files);
+      params[key] = value;
+    }
+  }
+  return params;
+}
+
+/**
+ * Compare a value against an expected one: nested objects and arrays are compared by content,
+ * other values loosely as strings (query values are always strings)
+ * @param {any} actual - Actual value
+ * @param {any} expected - Expected value
+ * @param {boolean} partial - Allow extra keys in objects
+ * @returns {boolean} - Whether they match
+ */
+function matchesValue(actual, expected, partial = false) {
+  if (expected === actual) return true;
+  if (expected === null || actual === null || expected === undefined || actual === undefined) return false;
+  if (typeof expected !== 'object') {
+    return typeof actual !== 'object' && String(actual) === String(expected);
+  }
+  if (typeof actual !== 'object' || Array.isArray(expected) !== Array.isArray(actual)) return false;
+  
+  const expectedKeys = Object.keys(expected);
+  if (!partial && expectedKeys.length !== Object.keys(actual).length) return false;
+  return expectedKeys.every(key => matchesValue(actual[key], expected[key], partial));
+}
+
+/**
+ * Size in bytes of a request or response body, for simulated progress
+ * @param {any} body - Body
+ * @returns {number} - Size in bytes (0 when unknown)
+ */
+function bodySize(body) {
+  if (body === null || body === undefined) return 0;
+  if (typeof body === 'string') return new Blob([body]).size;
+  if (typeof Blob !== 'undefined' && body instanceof Blob) return body.size;
+  if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) return body.byteLength;
+  if (typeof FormData !== 'undefined' && body instanceof FormData) {
+    let size = 0;
+    for (const [, value] of body.entries()) {
+      size += bodySize(value);
+    }
+    return size;
+  }
+  if (body instanceof URLSearchParams) return bodySize(body.toString());
+  if (typeof body === 'object') return bodySize(JSON.stringify(body));
+  return 0;
+}
+
+/**
+ * Wait, rejecting with an AbortError when the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Signal cancelling the wait
+ * @returns {Promise<void>}
+ */
+function abortableDelay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('Request aborted', 'AbortError'));
+      return;
+    }
+    
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(new DOMException('Request aborted', 'AbortError'));
+    };
+    const timeoutId = ms === Infinity ? null : setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * A mocked route, configured by chaining (see MockAdapter.on())
+ */
+class MockRoute {
+  constructor(adapter, method, path, matchers) {
+    this.adapter = adapter;
+    this.method = method;
+    this.path = path;
+    this.matchPath = compileRoutePath(path, adapter.baseURL);
+    this.matchers = matchers;
+    this.handler = null;
+    this.once = false;
+    this.delayMs = null;
+    this.progressSteps = null;
+  }
+
+  /**
+   * Answer with a response
+   * @param {number|Function} status - Status code, or (request) => [status, data, headers] | { status, data, headers }
+   * @param {any} data - Response data
+   * @param {Object} headers - Response headers
+   * @returns {MockAdapter} - The adapter, for defining more routes
+   */
+  reply(status, data = null, headers = {}) {
+    this.handler = typeof status === 'function'
+      ? status
+      : () => ({ status, data, headers });
+    this.adapter.routes.push(this);
+    return this.adapter;
+  }
+
+  /**
+   * Answer with a response once, then stop matching
+   * @param {number|Function} status - See reply()
+   * @param {any} data - Response data
+   * @param {Object} headers - Response headers
+   * @returns {MockAdapter} - The adapter
+   */
+  replyOnce(status, data, headers) {
+    this.once = true;
+    return this.reply(status, data, headers);
+  }
+
+  /**
+   * Fail as if the network were down
+   * @returns {MockAdapter} - The adapter
+   */
+  networkError() {
+    return this.reply((request) => {
+      throw new HttpError('Network error', 0, null, { url: request.url, method: request.method }, HttpErrorCode.NETWORK);
+    });
+  }
+
+  /**
+   * Never answer, so the request's timeout (or cancellation) ends it
+   * @returns {MockAdapter} - The adapter
+   */
+  timeout() {
+    this.delayMs = Infinity;
+    return this.reply(() => ({ status: 200 }));
+  }
+
+  /**
+   * Wait before answering
+   * @param {number} ms - Delay in milliseconds
+   * @returns {MockRoute} - This route
+   */
+  delay(ms) {
+    this.delayMs = ms;
+    return this;
+  }
+
+  /**
+   * Report upload/download progress in this many steps, spread over the delay
+   * @param {number} steps - Number of progress events
+   * @returns {MockRoute} - This route
+   */
+  progress(steps) {
+    this.progressSteps = steps;
+    return this;
+  }
+
+  /**
+   * Check whether a recorded request matches this route
+   * @param {Object} entry - Recorded request (see MockAdapter.record())
+   * @returns {Object|null} - Path params, or null
+   */
+  match(entry) {
+    if (this.method !== '*' && this.method !== entry.method) return null;
+    
+    const pathParams = this.matchPath(entry.path);
+    if (!pathParams) return null;
+    
+    const { params, body, headers } = this.matchers;
+    if (params && !(typeof params === 'function' ? params(entry.params) : matchesValue(entry.params, params, true))) {
+      return null;
+    }
+    if (body !== undefined && !(typeof body === 'function' ? body(entry.body) : matchesValue(entry.body, body))) {
+      return null;
+    }
+    if (headers) {
+      const matches = Object.entries(headers).every(([name, value]) => {
+        const key = findHeaderKey(entry.headers, name);
+        return key !== undefined && (typeof value === 'function' ? value(entry.headers[key]) : String(entry.headers[key]) === String(value));
+      });
+      if (!matches) return null;
+    }
+    
+    return pathParams;
+  }
+}
+
+/**
+ * Transport adapter answering from mocked routes and recording every request
+ */
+class MockAdapter {
+  /**
+   * @param {Object} options - { baseURL, delay, progressSteps, onUnhandled: 'throw' | 'passthrough' }
+   */
+  constructor(options = {}) {
+    this.baseURL = options.baseURL || '';
+    this.defaultDelay = options.delay || 0;
+    this.progressSteps = options.progressSteps || 4;
+    this.onUnhandled = options.onUnhandled || 'throw';
+    this.routes = [];
+    this.history = [];
+    
+    // The function to pass as the `adapter` option
+    this.adapter = (request) => this.handle(request);
+  }
+
+  /**
+   * Start a route
+   * @param {string} method - HTTP method, or '*' for any
+   * @param {string|RegExp} path - Path pattern ('/users/:id'), absolute URL, RegExp or '*'
+   * @param {Object} matchers - { params, body, headers }: objects to compare, or predicates
+   * @returns {MockRoute} - Route to finish with reply(), networkError() or timeout()
+   */
+  on(method, path = '*', matchers = {}) {
+    return new MockRoute(this, method.toUpperCase(), path, matchers);
+  }
+
+  onGet(path, matchers) {
+    return this.on('GET', path, matchers);
+  }
+
+  onPost(path, matchers) {
+    return this.on('POST', path, matchers);
+  }
+
+  onPut(path, matchers) {
+    return this.on('PUT', path, matchers);
+  }
+
+  onPatch(path, matchers) {
+    return this.on('PATCH', path, matchers);
+  }
+
+  onDelete(path, matchers) {
+    return this.on('DELETE', path, matchers);
+  }
+
+  onHead(path, matchers) {
+    return this.on('HEAD', path, matchers);
+  }
+
+  onAny(path, matchers) {
+    return this.on('*', path, matchers);
+  }
+
+  /**
+   * Recorded requests, optionally filtered like a route
+   * @param {string} method - HTTP method, or '*' for any
+   * @param {string|RegExp} path - Path pattern
+   * @param {Object} matchers - { params, body, headers }
+   * @returns {Object[]} - Recorded requests, oldest first
+   */
+  calls(method = '*', path = '*', matchers = {}) {
+    const route = new MockRoute(this, method.toUpperCase(), path, matchers);
+    return this.history.filter(entry => route.match(entry));
+  }
+
+  /**
+   * Forget recorded requests
+   * @returns {MockAdapter} - This adapter
+   */
+  resetHistory() {
+    this.history = [];
+    return this;
+  }
+
+  /**
+   * Remove all routes and recorded requests
+   * @returns {MockAdapter} - This adapter
+   */
+  reset() {
+    this.routes = [];
+    return this.resetHistory();
+  }
+
+  /**
+   * Record an adapter request
+   * @param {Object} request - Adapter request
+   * @returns {Object} - { method, url, path, params, headers, body, time }
+   */
+  record(request) {
+    const [path, query = ''] = request.url.split('?');
+    let { body } = request;
+    
+    // JSON bodies are recorded parsed, so matchers can compare objects
+    if (typeof body === 'string') {
+      const contentType = getMediaType(request.headers?.[findHeaderKey(request.headers || {}, 'Content-Type')]);
+      if (detectResponseType(contentType) === 'json') {
+        body = parseText(body);
       }
-      
-      // Add additional data
-      for (const [key, value] of Object.entries(additionalData)) {
-        if (value !== undefined && value !== null) {
-          formData.append(key, typeof value === 'object' ? JSON.stringify(value) : value);
-        }
+    }
+    
+    const entry = {
+      method: request.method.toUpperCase(),
+      url: request.url,
+      path,
+      params: parseQuery(query),
+      headers: { ...request.headers },
+      body,
+      time: Date.now(),
+    };
+    this.history.push(entry);
+    return entry;
+  }
+
+  /**
+   * Wait for a duration, reporting progress in equal steps when there is a listener
+   * @param {Function|undefined} onProgress - ({ loaded, total }) => void
+   * @param {number} total - Total bytes
+   * @param {number} steps - Number of progress events
+   * @param {number} duration - Total wait in milliseconds
+   * @param {AbortSignal} signal - Signal cancelling the wait
+   * @returns {Promise<void>}
+   */
+  async simulateProgress(onProgress, total, steps, duration, signal) {
+    if (!onProgress) {
+      await abortableDelay(duration, signal);
+      return;
+    }
+    
+    for (let step = 1; step <= steps; step++) {
+      await abortableDelay(duration / steps, signal);
+      onProgress({ loaded: Math.round((total * step) / steps), total });
+    }
+  }
+
+  /**
+   * Answer a request from the first matching route
+   * @param {Object} request - Adapter request
+   * @returns {Promise<Object>} - { data, status, statusText, headers }
+   */
+  async handle(request) {
+    const entry = this.record(request);
+    
+    let route = null;
+    let pathParams = null;
+    for (const candidate of this.routes) {
+      pathParams = candidate.match(entry);
+      if (pathParams) {
+        route = candidate;
+        break;
       }
     }
     
-    // Calculate total size
-    let totalSize = 0;
-    for (const [, value] of formData.entries()) {
-      if (value instanceof File) {
-        totalSize += value.size;
-      } else if (typeof value === 'string') {
-        totalSize += new Blob([value]).size;
-      }
+    if (!route) {
+      if (this.onUnhandled === 'passthrough') {
+        return fetchAdapter(request);
+      }
+      throw new Error(`[ZogHttp] No mock route for ${entry.method} ${entry.url}`);
+    }
+    
+    if (route.once) {
+      this.routes.splice(this.routes.indexOf(route), 1);
+    }
+    entry.route = route.path;
+    
+    const delay = route.delayMs ?? this.defaultDelay;
+    if (delay === Infinity) {
+      // Never answer; the request's timeout or cancellation rejects the wait
+      await abortableDelay(Infinity, request.signal);
+    }
+    
+    // Upload progress takes the first half of the delay, download progress the second
+    const steps = route.progressSteps ?? this.progressSteps;
+    await this.simulateProgress(request.onUploadProgress, bodySize(request.body), steps, delay / 2, request.signal);
+    
+    const result = await route.handler({ ...entry, pathParams, signal: request.signal });
+    const reply = Array.isArray(result)
+      ? { status: result[0], data: result[1], headers: result[2] }
+      : result;
+    let data = reply.data ?? null;
+    
+    // Hand out the type the request asked for
+    if (request.responseType === 'blob' && !(data instanceof Blob)) {
+      data = new Blob(data === null ? [] : [typeof data === 'string' ? data : JSON.stringify(data)]);
+    } else if (request.responseType === 'text' && data !== null && typeof data !== 'string') {
+      data = JSON.stringify(data);
     }
     
-    tracker.start(totalSize);
+    await this.simulateProgress(request.onDownloadProgress, bodySize(data), steps, delay / 2, request.signal);
     
-    // Create XMLHttpRequest for progress tracking
-    const promise = new Promise((resolve, reject) => {
-      const xhr = new XMLHttpRequest();
-      
-      // Progress handler
-      xhr.upload.addEventListener('progress', (event) => {
-        if (event.lengthComputable) {
-          tracker.update(event.loaded, event.total);
-          if (onProgress) {
-            onProgress({
-              loaded: event.loaded,
-              total: event.total,
-              progress: tracker.state.progress,
-              speed: tracker.state.speed,
-              remainingTime: tracker.state.remainingTime,
-            });
-          }
-        }
-      });
-      
-      // Load handler (success)
-      xhr.addEventListener('load', async () => {
-        this.abortControllers.delete(requestId);
-        
-        let data;
-        try {
-          data = JSON.parse(xhr.responseText);
-        } catch {
-          data = xhr.responseText;
-        }
-        
-        const response = {
-          data,
-          status: xhr.status,
-          statusText: xhr.statusText,
-          headers: this.parseXHRHeaders(xhr.getAllResponseHeaders()),
-        };
-        
-        if (xhr.status >= 200 && xhr.status < 300) {
-          tracker.complete();
-          
-          // Run response interceptors
-          try {
-            const interceptedResponse = await this.runResponseInterceptors(response);
-            if (onComplete) {
-              onComplete(interceptedResponse);
-            }
-            resolve(interceptedResponse);
-          } catch (error) {
-            tracker.fail(error);
-            if (onError) onError(error);
-            reject(error);
-          }
-        } else {
-          const error = new HttpError(
-            data?.message || xhr.statusText || 'Upload failed',
-            xhr.status,
-            response,
-            { url, method: 'POST' }
-          );
-          tracker.fail(error);
-          
-          try {
-            await this.runResponseErrorInterceptors(error);
-          } catch (e) {
-            if (onError) onError(e);
-            reject(e);
-          }
-        }
-      });
-      
-      // Error handler
-      xhr.addEventListener('error', () => {
-        this.abortControllers.delete(requestId);
-        const error = new HttpError('Network error during upload', 0, null, { url, method: 'POST' });
-        tracker.fail(error);
-        if (onError) onError(error);
-        reject(error);
-      });
-      
-      // Abort handler
-      xhr.addEventListener('abort', () => {
-        this.abortControllers.delete(requestId);
-        const error = new HttpError('Upload cancelled', 0, null, { url, method: 'POST' });
-        tracker.fail(error);
-        if (onError) onError(error);
-        reject(error);
-      });
-      
-      // Timeout handler
-      xhr.addEventListener('timeout', () => {
-        this.abortControllers.delete(requestId);
-        const error = new HttpError('Upload timeout', 408, null, { url, method: 'POST' });
-        tracker.fail(error);
-        if (onError) onError(error);
-        reject(error);
-      });
-      
-      // Abort signal listener
-      abortController.signal.addEventListener('abort', () => {
-        xhr.abort();
-      });
-      
-      // Open and configure request
-      const fullURL = this.buildURL(url);
-      xhr.open('POST', fullURL);
-      
-      // Set headers (excluding Content-Type for FormData)
-      const mergedHeaders = { ...this.config.headers, ...headers };
-      delete mergedHeaders['Content-Type']; // Let browser set it
-      
-      for (const [key, value] of Object.entries(mergedHeaders)) {
-        xhr.setRequestHeader(key, value);
-      }
-      
-      // Set timeout
-      xhr.timeout = restOptions.timeout || this.config.timeout;
-      
-      // Set credentials
-      xhr.withCredentials = restOptions.withCredentials ?? this.config.withCredentials;
-      
-      // Send request
-      xhr.send(formData);
-    });
+    const headers = {};
+    for (const [name, value] of Object.entries(reply.headers || {})) {
+      headers[name.toLowerCase()] = String(value);
+    }
     
     return {
-      promise,
-      tracker: tracker.state,
-      abort: () => abortController.abort(),
-      requestId,
+      data: request.method === 'HEAD' ? null : data,
+      status: reply.status ?? 200,
+      statusText: reply.statusText || '',
+      headers,
+    };
+  }
+}
+
+/**
+ * Request headers replaced with '[redacted]' in HAR recordings by default
+ */
+const HAR_REDACTED_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie'];
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} - Base64 text
+ */
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 text
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} - Bytes
+ */
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Read binary data (Blob, ArrayBuffer, typed array) as bytes
+ * @param {any} value - Value to read
+ * @returns {Promise<Uint8Array|null>} - Bytes, or null when the value isn't binary
+ */
+async function readBytes(value) {
+  if (typeof Blob !== 'undefined' && value instanceof Blob) {
+    return new Uint8Array(await value.arrayBuffer());
+  }
+  if (value instanceof ArrayBuffer) {
+    return new Uint8Array(value);
+  }
+  if (ArrayBuffer.isView(value)) {
+    return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+  }
+  return null;
+}
+
+/**
+ * Whether a value is an unread body (stream or raw Response), which can't be recorded
+ * @param {any} value - Value to check
+ * @returns {boolean}
+ */
+function isUnreadBody(value) {
+  return (typeof ReadableStream !== 'undefined' && value instanceof ReadableStream)
+    || (typeof Response !== 'undefined' && value instanceof Response);
+}
+
+/**
+ * Build a HAR postData object from a serialized request body
+ * @param {any} body - Request body as sent
+ * @param {string} mimeType - Request Content-Type
+ * @returns {Promise<Object|undefined>} - postData, or undefined without a body
+ */
+async function harPostData(body, mimeType) {
+  if (body === undefined || body === null) return undefined;
+  
+  if (typeof body === 'string') {
+    return { mimeType, text: body };
+  }
+  if (body instanceof URLSearchParams) {
+    return {
+      mimeType: mimeType || 'application/x-www-form-urlencoded',
+      text: body.toString(),
+      params: [...body].map(([name, value]) => ({ name, value })),
+    };
+  }
+  if (typeof FormData !== 'undefined' && body instanceof FormData) {
+    // File contents are left out; HAR only describes them
+    return {
+      mimeType: 'multipart/form-data',
+      text: '',
+      params: [...body.entries()].map(([name, value]) => (typeof value === 'string'
+        ? { name, value }
+        : { name, fileName: value.name || 'blob', contentType: value.type || 'application/octet-stream' })),
     };
   }
 
+  const bytes = await readBytes(body);
+  if (bytes) {
+    return { mimeType: mimeType || 'application/octet-stream', text: toBase64(bytes), _encoding: 'base64' };
+  }
+  return { mimeType, text: '', comment: 'Body not recorded' };
+}
+
+/**
+ * Build a HAR content object from response data
+ * @param {any} data - Response data as returned by the adapter
+ * @param {string} mimeType - Response Content-Type
+ * @returns {Promise<Object>} - HAR content
+ */
+async function harContent(data, mimeType) {
+  if (data === null || data === undefined) {
+    return { size: 0, mimeType, text: '' };
+  }
+  if (typeof data === 'string') {
+    return { size: bodySize(data), mimeType, text: data };
+  }
+  if (isUnreadBody(data) || (typeof FormData !== 'undefined' && data instanceof FormData)) {
+    return { size: 0, mimeType, comment: 'Body not recorded' };
+  }
+
+  const bytes = await readBytes(data);
+  if (bytes) {
+    return { size: bytes.length, mimeType: mimeType || data.type || 'application/octet-stream', text: toBase64(bytes), encoding: 'base64' };
+  }
+
+  const text = JSON.stringify(data);
+  return { size: bodySize(text), mimeType, text };
+}
+
+/**
+ * Records the requests sent through wrapped adapters as HAR 1.2 entries
+ */
+class HarRecorder {
   /**
-   * Parse XHR response headers
-   * @param {string} headersString - Raw headers string
-   * @returns {Object} - Parsed headers object
+   * @param {Object} options - { redactHeaders, bodies }
    */
-  parseXHRHeaders(headersString) {
-    const headers = {};
-    if (!headersString) return headers;
-    
-    headersString.split('\r\n').forEach(line => {
-      const [key, ...values] = line.split(':');
-      if (key && values.length) {
-        headers[key.trim().toLowerCase()] = values.join(':').trim();
-      }
-    });
-    
-    return headers;
+  constructor(options = {}) {
+    this.redactHeaders = (options.redactHeaders ?? HAR_REDACTED_HEADERS).map(name => name.toLowerCase());
+    this.bodies = options.bodies !== false;
+    this.entries = [];
   }
 
   /**
-   * Download file with progress
-   * @param {string} url - Download URL
-   * @param {Object} options - Download options
-   * @returns {Object} - { promise, tracker, abort }
+   * Wrap an adapter so its requests are recorded
+   * @param {Function} adapter - Transport adapter
+   * @returns {Function} - Recording adapter
    */
-  download(url, options = {}) {
-    const tracker = new UploadTracker(this.reactive); // Reuse tracker for download
-    const abortController = new AbortController();
-    const requestId = this.generateRequestId();
-    this.abortControllers.set(requestId, abortController);
-    
-    const {
-      filename,
-      onProgress,
-      onComplete,
-      onError,
-      ...restOptions
-    } = options;
-    
-    const promise = (async () => {
+  wrap(adapter) {
+    return async (request) => {
+      const started = new Date();
+      let response;
       try {
-        const response = await fetch(this.buildURL(url), {
-          method: 'GET',
-          headers: { ...this.config.headers, ...options.headers },
-          signal: abortController.signal,
-          credentials: this.config.withCredentials ? 'include' : 'same-origin',
-        });
-        
-        if (!response.ok) {
-          throw new HttpError(
-            `Download failed with status ${response.status}`,
-            response.status,
-            null,
-            { url, method: 'GET' }
-          );
-        }
-        
-        const contentLength = response.headers.get('content-length');
-        const total = contentLength ? parseInt(contentLength, 10) : 0;
-        tracker.start(total);
-        
-        const reader = response.body.getReader();
-        const chunks = [];
-        let loaded = 0;
-        
-        while (true) {
-          const { done, value } = await reader.read();
-          
-          if (done) break;
-          
-          chunks.push(value);
-          loaded += value.length;
-          
-          if (total > 0) {
-            tracker.update(loaded, total);
-            if (onProgress) {
-              onProgress({
-                loaded,
-                total,
-                progress: tracker.state.progress,
-                speed: tracker.state.speed,
-                remainingTime: tracker.state.remainingTime,
-              });
-            }
-          }
-        }
-        
-        tracker.complete();
-        
-        // Combine chunks into Blob
-        const blob = new Blob(chunks);
-        
-        // Auto-download if filename provided
-        if (filename) {
-          const downloadUrl = URL.createObjectURL(blob);
-          const a = document.createElement('a');
-          a.href = downloadUrl;
-          a.download = filename;
-          document.body.appendChild(a);
-          a.click();
-          document.body.removeChild(a);
-          URL.revokeObjectURL(downloadUrl);
-        }
-        
-        const result = { blob, filename, size: blob.size };
-        
-        if (onComplete) {
-          onComplete(result);
-        }
-        
-        this.abortControllers.delete(requestId);
-        return result;
-        
+        response = await adapter(request);
       } catch (error) {
-        this.abortControllers.delete(requestId);
-        
-        if (error.name === 'AbortError') {
-          const abortError = new HttpError('Download cancelled', 0, null, { url, method: 'GET' });
-          tracker.fail(abortError);
-          if (onError) onError(abortError);
-          throw abortError;
+        // Network failures are recorded with status 0; cancelled requests are not
+        if (error.code === HttpErrorCode.NETWORK) {
+          await this.add(request, null, started, error);
         }
-        
-        tracker.fail(error);
-        if (onError) onError(error);
         throw error;
       }
-    })();
-    
-    return {
-      promise,
-      tracker: tracker.state,
-      abort: () => abortController.abort(),
-      requestId,
+      await this.add(request, response, started);
+      return response;
     };
   }
 
   /**
-   * Cancel a specific request by ID
-   * @param {string} requestId - Request ID to cancel
+   * Convert a headers object to a HAR name/value list
+   * @param {Object} headers - Headers object
+   * @returns {Object[]} - [{ name, value }]
    */
-  cancelRequest(requestId) {
-    const controller = this.abortControllers.get(requestId);
-    if (controller) {
-      controller.abort();
-      this.abortControllers.delete(requestId);
-    }
+  headerList(headers = {}) {
+    return Object.entries(headers).map(([name, value]) => ({
+      name,
+      value: this.redactHeaders.includes(name.toLowerCase()) ? '[redacted]' : String(value),
+    }));
   }
 
   /**
-   * Cancel all pending requests
+   * Record one exchange
+   * @param {Object} request - Adapter request
+   * @param {Object|null} response - Adapter response, null when the network failed
+   * @param {Date} started - When the request was sent
+   * @param {Error} error - Network error
    */
-  cancelAll() {
-    for (const [id, controller] of this.abortControllers) {
-      controller.abort();
+  async add(request, response, started, error = null) {
+    const time = Date.now() - started.getTime();
+    const requestHeaders = request.headers || {};
+    const responseHeaders = response?.headers || {};
+    const query = request.url.split('?')[1] || '';
+    const requestType = requestHeaders[findHeaderKey(requestHeaders, 'Content-Type')] || '';
+    const responseType = responseHeaders[findHeaderKey(responseHeaders, 'Content-Type')] || '';
+    
+    const postData = this.bodies ? await harPostData(request.body, requestType) : undefined;
+    const content = this.bodies
+      ? await harContent(response?.data, responseType)
+      : { size: 0, mimeType: responseType, comment: 'Body not recorded' };
+      
+    const entry = {
+      startedDateTime: started.toISOString(),
+      time,
+      request: {
+        method: request.method.toUpperCase(),
+        url: request.url,
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: this.headerList(requestHeaders),
+        queryString: [...new URLSearchParams(query)].map(([name, value]) => ({ name, value })),
+        ...(postData ? { postData } : {}),
+        headersSize: -1,
+        bodySize: postData ? bodySize(request.body) : 0,
+      },
+      response: {
+        status: response ? response.status ?? 200 : 0,
+        statusText: response?.statusText || '',
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: this.headerList(responseHeaders),
+        content,
+        redirectURL: '',
+        headersSize: -1,
+        bodySize: content.size,
+      },
+      cache: {},
+      timings: { send: 0, wait: time, receive: 0 },
+    };
+    if (error) {
+      entry.response._error = error.message;
     }
-    this.abortControllers.clear();
-    this.state.loading = false;
-    this.state.pendingRequests = 0;
+    
+    this.entries.push(entry);
   }
 
   /**
-   * Create a new instance with merged configuration
-   * @param {Object} config - Configuration to merge
-   * @returns {ZogHttpClient} - New client instance
+   * Build the HAR document
+   * @returns {Object} - HAR 1.2 JSON
    */
-  create(config = {}) {
-    return new ZogHttpClient(
-      { ...this.config, ...config },
-      this.reactive,
-      this.ref
-    );
+  toHAR() {
+    return {
+      log: {
+        version: '1.2',
+        creator: { name: 'zog-http', version: '0.4.8' },
+        entries: [...this.entries].sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime)),
+      },
+    };
   }
 }
 
+/**
+ * Create a transport adapter answering from the entries of a HAR file
+ * @param {Object|string} har - HAR JSON (object or text)
+ * @param {Object} options - { matchBody, timing, onUnhandled: 'throw' | 'passthrough' }
+ * @returns {Function} - Transport adapter
+ */
+function harAdapter(har, options = {}) {
+  const { entries = [] } = (typeof har === 'string' ? JSON.parse(har) : har).log || {};
+  const { matchBody = false, timing = false, onUnhandled = 'throw' } = options;
+  const served = new Set();
+  
+  return async (request) => {
+    const method = request.method.toUpperCase();
+    const postData = matchBody ? await harPostData(request.body, '') : undefined;
+    
+    const candidates = entries.filter(entry => entry.request.method === method
+      && entry.request.url === request.url
+      && (!matchBody || (entry.request.postData?.text ?? '') === (postData?.text ?? '')));
+      
+    if (!candidates.length) {
+      if (onUnhandled === 'passthrough') {
+        return fetchAdapter(request);
+      }
+      throw new Error(`[ZogHttp] No recorded response for ${method} ${request.url}`);
+    }
+    
+    // Identical requests get the recorded responses in order, then the last one again
+    const entry = candidates.find(candidate => !served.has(candidate)) || candidates[candidates.length - 1];
+    served.add(entry);
+    
+    await abortableDelay(timing ? entry.time : 0, request.signal);
+    
+    const { status, statusText, content = {} } = entry.response;
+    if (status === 0) {
+      throw new HttpError(entry.response._error || 'Network error', 0, null, { url: request.url, method }, HttpErrorCode.NETWORK);
+    }
+    
+    const responseHeaders = {};
+    for (const { name, value } of entry.response.headers || []) {
+      responseHeaders[name.toLowerCase()] = value;
+    }
+    
+    // Bytes, so the Response doesn't add a text/plain Content-Type the recording didn't have
+    const payload = content.encoding === 'base64'
+      ? fromBase64(content.text || '')
+      : new TextEncoder().encode(content.text ?? '');
+    const hasBody = method !== 'HEAD' && !NULL_BODY_STATUSES.includes(status);
+    const response = new Response(hasBody ? payload : null, { status, statusText, headers: responseHeaders });
+    const data = await parseResponseBody(response, method, request.responseType);
+    
+    // Transfers finish at once
+    if (request.onUploadProgress) {
+      const total = bodySize(request.body);
+      request.onUploadProgress({ loaded: total, total });
+    }
+    if (request.onDownloadProgress) {
+      request.onDownloadProgress({ loaded: content.size || 0, total: content.size || 0 });
+    }
+    
+    return { data, status, statusText: statusText || '', headers: responseHeaders };
+  };
+}
+
 export let $http = null;
 
 
@@ -1054,28 +5309,44 @@ export let $http = null;
 export const ZogHttpPlugin = {
   install(api, options = {}) {
     const { reactive, ref } = api;
+    const effect = api.watchEffect || api.effect || null;
     
     // Create HTTP client instance
-    const http = new ZogHttpClient(options, reactive, ref);
+    const http = new ZogHttpClient(options, reactive, ref, effect);
     
     $http = http;
     // Store reference for global access
     ZogHttpPlugin._instance = http;
     
+    // Scope-bound clients, one per Zog scope
+    const scopes = new WeakMap();
+    
     // Inject $http into all scopes via afterCompile hook
     api.onHook('afterCompile', (el, scope, cs) => {
       // Only inject once per scope
-      if (!scope.$http) {
+      if (!scopes.has(scope)) {
+        const scoped = http.createScope();
+        scopes.set(scope, scoped);
+        
         scope.$http = http;
+        scope.$httpScope = scoped;
+        
+        // Also inject convenience methods, bound to this scope
+        scope.$get = scoped.get.bind(scoped);
+        scope.$post = scoped.post.bind(scoped);
+        scope.$put = scoped.put.bind(scoped);
+        scope.$patch = scoped.patch.bind(scoped);
+        scope.$delete = scoped.delete.bind(scoped);
+        scope.$upload = scoped.upload.bind(scoped);
+        scope.$download = scoped.download.bind(scoped);
+        scope.$useRequest = scoped.useRequest.bind(scoped);
+        scope.$usePaginatedRequest = scoped.usePaginatedRequest.bind(scoped);
+        scope.$poll = scoped.poll.bind(scoped);
         
-        // Also inject convenience methods
-        scope.$get = http.get.bind(http);
-        scope.$post = http.post.bind(http);
-        scope.$put = http.put.bind(http);
-        scope.$patch = http.patch.bind(http);
-        scope.$delete = http.delete.bind(http);
-        scope.$upload = http.upload.bind(http);
-        scope.$download = http.download.bind(http);
+        // Abort the scope's requests when Zog runs the cleanups of the compile that created it
+        if (cs && typeof cs.push === 'function') {
+          cs.push(() => scoped.dispose());
+        }
       }
     });
     
@@ -1109,8 +5380,22 @@ export function createHttpClient(options = {}) {
   return new ZogHttpClient(options, simpleReactive, simpleRef);
 }
 
-// Export classes for advanced usage
-export { ZogHttpClient, UploadTracker };
+/**
+ * Create a standalone HTTP client that answers from mocked routes (for tests)
+ * @param {Object} options - Configuration options
+ * @param {Object} mockOptions - MockAdapter options ({ delay, progressSteps, onUnhandled })
+ * @returns {ZogHttpClient} - HTTP client instance, with the MockAdapter as `mock`
+ */
+export function createMockClient(options = {}, mockOptions = {}) {
+  const mock = new MockAdapter({ baseURL: options.baseURL, ...mockOptions });
+  const http = createHttpClient({ ...options, adapter: mock.adapter });
+  http.mock = mock;
+  return http;
+}
+
+// Export helpers and classes for advanced usage
+export { serializeParams, openApiOperations, openApiDefinitions, fetchAdapter, xhrAdapter, harAdapter, resizeImage };
+export { ZogHttpClient, ScopedHttpClient, UploadTracker, UploadQueue, ResponseCache, Paginator, MockAdapter };
 
 // Default export
 export default ZogHttpPlugin;
\ No newline at end of file